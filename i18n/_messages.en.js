@@ -1,48 +1,71 @@
 /**
 * /!\ This file is just an example template to create/update your own language file /!\
+*
+* Messages can use named placeholders: {field}, {value} and validators requirements, eg: {min} and {max},
+* positional placeholders, eg: %1$s, and plural selectors, eg: {min, plural, =0 {none} one {# item} other {# items}}
 */
 
-window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-  window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-    messages: {
-      // parsley //////////////////////////////////////
-        defaultMessage: "This value seems to be invalid."
-        , type: {
-            email:      "This value should be a valid email."
-          , url:        "This value should be a valid url."
-          , urlstrict:  "This value should be a valid url."
-          , number:     "This value should be a valid number."
-          , digits:     "This value should be digits."
-          , dateIso:    "This value should be a valid date (YYYY-MM-DD)."
-          , alphanum:   "This value should be alphanumeric."
-          , phone:      "This value should be a valid phone number."
-        }
-      , notnull:        "This value should not be null."
-      , notblank:       "This value should not be blank."
-      , required:       "This value is required."
-      , regexp:         "This value seems to be invalid."
-      , min:            "This value should be greater than or equal to %s."
-      , max:            "This value should be lower than or equal to %s."
-      , range:          "This value should be between %s and %s."
-      , minlength:      "This value is too short. It should have %s characters or more."
-      , maxlength:      "This value is too long. It should have %s characters or less."
-      , rangelength:    "This value length is invalid. It should be between %s and %s characters long."
-      , mincheck:       "You must select at least %s choices."
-      , maxcheck:       "You must select %s choices or less."
-      , rangecheck:     "You must select between %s and %s choices."
-      , equalto:        "This value should be the same."
+// extends already registered catalog, eg: parsley.extend.js english messages. Use it with Parsley.setLocale( 'en' ) or data-locale
+window.Parsley.catalogs.en = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.en, {
+  messages: {
+    // parsley //////////////////////////////////////
+      defaultMessage: "This value seems to be invalid."
+      , type: {
+          email:      "This value should be a valid email."
+        , url:        "This value should be a valid url."
+        , urlstrict:  "This value should be a valid url."
+        , number:     "This value should be a valid number."
+        , digits:     "This value should be digits."
+        , dateIso:    "This value should be a valid date (YYYY-MM-DD)."
+        , alphanum:   "This value should be alphanumeric."
+        , phone:      "This value should be a valid phone number."
+      }
+    , notnull:        "This value should not be null."
+    , notblank:       "This value should not be blank."
+    , required:       "This value is required."
+    , regexp:         "This value seems to be invalid."
+    , min:            "This value should be greater than or equal to {min}."
+    , max:            "This value should be lower than or equal to {max}."
+    , range:          "This value should be between {min} and {max}."
+    , minlength:      "This value is too short. It should have {min, plural, one {# character} other {# characters}} or more."
+    , maxlength:      "This value is too long. It should have {max, plural, one {# character} other {# characters}} or less."
+    , rangelength:    "This value length is invalid. It should be between {min} and {max} characters long."
+    , mincheck:       "You must select at least {min, plural, one {# choice} other {# choices}}."
+    , maxcheck:       "You must select {max, plural, one {# choice} other {# choices}} or less."
+    , rangecheck:     "You must select between {min} and {max} choices."
+    , equalto:        "This value should be the same."
+    , date:           "This value should be a valid date ({format})."
+    , mindate:        "This date should be equal to or after {min}."
+    , maxdate:        "This date should be equal to or before {max}."
+    , daterange:      "This date should be between {min} and {max}."
+    , step:           "This value should be a multiple of {step}."
+    , accept:         "This file should be of type {accept}."
+    , validity:       "This value seems to be invalid."
+    , maxfilesize:    "This file is too big. It should not exceed {max} KB."
+    , minfiles:       "You must select at least {min, plural, one {# file} other {# files}}."
+    , maxfiles:       "You must select {max, plural, one {# file} other {# files}} or less."
+    , imagemin:       "This image is too small. It should be at least {width}x{height} pixels."
+    , imagemax:       "This image is too big. It should be at most {width}x{height} pixels."
 
-      // parsley.extend ///////////////////////////////
-      , minwords:       "This value should have %s words at least."
-      , maxwords:       "This value should have %s words maximum."
-      , rangewords:     "This value should have between %s and %s words."
-      , greaterthan:    "This value should be greater than %s."
-      , lessthan:       "This value should be less than %s."
-      , beforedate:     "This date should be before %s."
-      , afterdate:      "This date should be after %s."
-      , americandate:	"This value should be a valid date (MM/DD/YYYY)."
-    }
-  });
-}(window.jQuery || window.Zepto));
\ No newline at end of file
+    // parsley.extend ///////////////////////////////
+    , minwords:       "This value should have {min, plural, one {# word} other {# words}} at least."
+    , maxwords:       "This value should have {max, plural, one {# word} other {# words}} maximum."
+    , rangewords:     "This value should have between {min} and {max} words."
+    , greaterthan:    "This value should be greater than %s."
+    , lessthan:       "This value should be less than %s."
+    , beforedate:     "This date should be before %s."
+    , afterdate:      "This date should be after %s."
+    , americandate:	"This value should be a valid date (MM/DD/YYYY)."
+  }
+
+  // plural category of a number, used in {count, plural, one {..} other {..}} messages selectors
+  , pluralRule: function ( count ) {
+    return 1 === count ? 'one' : 'other';
+  }
+
+  // decimal and thousands separators used to write numbers, for number, min, max, range.. validators
+  , numberFormat: { decimal: '.', grouping: ',' }
+} );
\ No newline at end of file
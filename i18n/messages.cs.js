@@ -1,45 +1,52 @@
-window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-	window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-		messages: {
-			// parsley //////////////////////////////////////
-			defaultMessage:  "Tato položka je neplatná."
-			, type: {
-				email:         "Tato položka musí být e-mailová adresa."
-				, url:         "Tato položka musí být url adresa."
-				, urlstrict:   "Tato položka musí být url adresa."
-				, number:      "Tato položka musí být platné číslo."
-				, digits:      "Tato položka musí být číslice."
-				, dateIso:     "Tato položka musí být datum ve formátu YYYY-MM-DD."
-				, alphanum:    "Tato položka musí být alfanumerická."
-				, phone:       "Tato položka musí být platné telefonní číslo."
-			}
-			, notnull:         "Tato položka nesmí být null."
-			, notblank:        "Tato položka nesmí být prázdná."
-			, required:        "Tato položka je povinná."
-			, regexp:          "Tato položka je neplatná."
-			, min:             "Tato položka musí být větší než %s."
-			, max:             "Tato položka musí byt menší než %s."
-			, range:           "Tato položka musí být v rozmezí %s a %s."
-			, minlength:       "Tato položka je příliš krátká. Musí mít %s nebo více znaků."
-			, maxlength:       "Tato položka je příliš dlouhá. Musí mít %s nebo méně znaků."
-			, rangelength:     "Tato položka je mimo rozsah. Musí být rozmezí %s a %s znaků."
-			, mincheck:        "Je nutné vybrat nejméně %s možností."
-			, maxcheck:        "Je nutné vybrat nejvýše %s možností."
-			, rangecheck:      "Je nutné vybrat %s až %s možností."
-			, equalto:         "Tato položka by měla být stejná."
+window.Parsley.catalogs.cs = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.cs, {
+	messages: {
+		// parsley //////////////////////////////////////
+		defaultMessage:  "Tato položka je neplatná."
+		, type: {
+			email:         "Tato položka musí být e-mailová adresa."
+			, url:         "Tato položka musí být url adresa."
+			, urlstrict:   "Tato položka musí být url adresa."
+			, number:      "Tato položka musí být platné číslo."
+			, digits:      "Tato položka musí být číslice."
+			, dateIso:     "Tato položka musí být datum ve formátu YYYY-MM-DD."
+			, alphanum:    "Tato položka musí být alfanumerická."
+			, phone:       "Tato položka musí být platné telefonní číslo."
+		}
+		, notnull:         "Tato položka nesmí být null."
+		, notblank:        "Tato položka nesmí být prázdná."
+		, required:        "Tato položka je povinná."
+		, regexp:          "Tato položka je neplatná."
+		, min:             "Tato položka musí být větší než {min}."
+		, max:             "Tato položka musí byt menší než {max}."
+		, range:           "Tato položka musí být v rozmezí {min} a {max}."
+		, minlength:       "Tato položka je příliš krátká. Musí mít {min, plural, one {# znak} few {# znaky} other {# znaků}} nebo více."
+		, maxlength:       "Tato položka je příliš dlouhá. Musí mít {max, plural, one {# znak} few {# znaky} other {# znaků}} nebo méně."
+		, rangelength:     "Tato položka je mimo rozsah. Musí být rozmezí {min} a {max} znaků."
+		, mincheck:        "Je nutné vybrat nejméně {min, plural, one {# možnost} few {# možnosti} other {# možností}}."
+		, maxcheck:        "Je nutné vybrat nejvýše {max, plural, one {# možnost} few {# možnosti} other {# možností}}."
+		, rangecheck:      "Je nutné vybrat {min} až {max} možností."
+		, equalto:         "Tato položka by měla být stejná."
 
-			// parsley.extend ///////////////////////////////
-			, minwords:        "Tato položka musí obsahovat alespoň %s slov."
-			, maxwords:        "Tato položka nesmí přesánout %s slov."
-			, rangewords:      "Tato položka musí obsahovat %s až %s slov."
-			, greaterthan:     "Tato položka musí být větší než %s."
-			, lessthan:        "Tato položka musí být menší než %s."
-			, beforedate:      "Toto datum musí být před %s."
-			, afterdate:       "Toto datum musí být po %s."
-			, luhn:            "Tato hodnota by měla projít Luhnovým testem."
-			, americandate:    "Toto datum by mělo být ve formátu MM/DD/YYYY."
+		// parsley.extend ///////////////////////////////
+		, minwords:        "Tato položka musí obsahovat alespoň {min, plural, one {# slovo} few {# slova} other {# slov}}."
+		, maxwords:        "Tato položka nesmí přesánout {max, plural, one {# slovo} few {# slova} other {# slov}}."
+		, rangewords:      "Tato položka musí obsahovat {min} až {max} slov."
+		, greaterthan:     "Tato položka musí být větší než %s."
+		, lessthan:        "Tato položka musí být menší než %s."
+		, beforedate:      "Toto datum musí být před %s."
+		, afterdate:       "Toto datum musí být po %s."
+		, luhn:            "Tato hodnota by měla projít Luhnovým testem."
+		, americandate:    "Toto datum by mělo být ve formátu MM/DD/YYYY."
+	}
+	, pluralRule: function ( count ) {
+		if ( 1 === count ) {
+			return 'one';
 		}
-	});
-}(window.jQuery || window.Zepto));
+
+		return count >= 2 && count <= 4 ? 'few' : 'other';
+	}
+	, numberFormat: { decimal: ',', grouping: ' ' }
+} );
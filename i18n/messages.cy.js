@@ -1,38 +1,37 @@
-window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-  window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-    messages: {
-      // parsley //////////////////////////////////////
-	      defaultMessage: "Mae'r gwerth hwn yn ymddangos i fod yn annilys."
-	    , type: {
-	          email:      "Dylai'r gwerth hwn fod yn e-bost dilys."
-	        , url:        "Dylai'r gwerth hwn fod yn url dilys."
-	        , urlstrict:  "Dylai'r gwerth hwn fod yn url dilys."
-	        , number:     "Dylai'r gwerth hwn fod yn rhif dilys."
-	        , digits:     "Dylai'r gwerth hwn fod yn werth digidau."
-	        , dateIso:    "Dylai'r gwerth hwn fod yn ddyddiad dilys (YYYY-MM-DD)."
-	        , alphanum:   "Dylai hyn fod yn werth alffaniwmerig."
-	      }
-	    , notnull:        "Ni ddylai hyn fod yn werth null."
-	    , notblank:       "Ni ddylai hyn fod yn werth gwag."
-	    , required:       "Mae'r gwerth hwn yn ofynnol."
-	    , regexp:         "Mae'r gwerth hwn yn ymddangos i fod yn annilys."
-	    , min:            "Dylai'r gwerth hwn fod yn fwy na %s."
-	    , max:            "Dylai'r gwerth hwn fod yn is na %s."
-	    , range:          "Dylai'r gwerth hwn fod rhwng s% a %s."
-	    , minlength:      "Mae'r gwerth hwn yn rhy fyr. Dylai fod yna %s neu fwy o lythrennau."
-	    , maxlength:      "Mae'r gwerth hwn yn rhy hir. Dylai fod yna %s neu llai o lythrennau"
-	    , rangelength:    "Mae'r gwerth hyd yn annilys. Dylai fod yna rhwng %s a %s o lythrennau"
-	    , equalto:        "Dylai'r gwerth hwn fod yr un fath."
+window.Parsley.catalogs.cy = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.cy, {
+  messages: {
+    // parsley //////////////////////////////////////
+      defaultMessage: "Mae'r gwerth hwn yn ymddangos i fod yn annilys."
+    , type: {
+          email:      "Dylai'r gwerth hwn fod yn e-bost dilys."
+        , url:        "Dylai'r gwerth hwn fod yn url dilys."
+        , urlstrict:  "Dylai'r gwerth hwn fod yn url dilys."
+        , number:     "Dylai'r gwerth hwn fod yn rhif dilys."
+        , digits:     "Dylai'r gwerth hwn fod yn werth digidau."
+        , dateIso:    "Dylai'r gwerth hwn fod yn ddyddiad dilys (YYYY-MM-DD)."
+        , alphanum:   "Dylai hyn fod yn werth alffaniwmerig."
+      }
+    , notnull:        "Ni ddylai hyn fod yn werth null."
+    , notblank:       "Ni ddylai hyn fod yn werth gwag."
+    , required:       "Mae'r gwerth hwn yn ofynnol."
+    , regexp:         "Mae'r gwerth hwn yn ymddangos i fod yn annilys."
+    , min:            "Dylai'r gwerth hwn fod yn fwy na {min}."
+    , max:            "Dylai'r gwerth hwn fod yn is na {max}."
+    , range:          "Dylai'r gwerth hwn fod rhwng {min} a {max}."
+    , minlength:      "Mae'r gwerth hwn yn rhy fyr. Dylai fod yna {min} neu fwy o lythrennau."
+    , maxlength:      "Mae'r gwerth hwn yn rhy hir. Dylai fod yna {max} neu llai o lythrennau"
+    , rangelength:    "Mae'r gwerth hyd yn annilys. Dylai fod yna rhwng {min} a {max} o lythrennau"
+    , equalto:        "Dylai'r gwerth hwn fod yr un fath."
 
-      // parsley.extend ///////////////////////////////
-	    , minwords:       "Dylai'r gwerth hwn cynnwys o leiaf %s gair."
-	    , maxwords:       "Dylai'r gwerth hwn cynnwys %s gair ar yr mwyaf."
-	    , rangewords:     "Dylai'r gwerth hwn cynnwys rhwng %s a %s o eiriau."
-	    , greaterthan:    "Dylai'r gwerth hwn fod yn fwy na %s."
-	    , lessthan:       "Dylai hyn gwerth yn llai na %s."
-     
-    }
-  });
-}(window.jQuery || window.Zepto));
+    // parsley.extend ///////////////////////////////
+    , minwords:       "Dylai'r gwerth hwn cynnwys o leiaf {min} gair."
+    , maxwords:       "Dylai'r gwerth hwn cynnwys {max} gair ar yr mwyaf."
+    , rangewords:     "Dylai'r gwerth hwn cynnwys rhwng {min} a {max} o eiriau."
+    , greaterthan:    "Dylai'r gwerth hwn fod yn fwy na %s."
+    , lessthan:       "Dylai hyn gwerth yn llai na %s."
+   
+  }
+} );
@@ -1,40 +1,39 @@
-﻿window.ParsleyConfig = window.ParsleyConfig || {};
+﻿window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-  window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-    messages: {
-      // parsley //////////////////////////////////////
-        defaultMessage: "مقدار وارد شده معتبر نیست."
-      , type: {
-            email:      "آدرس ایمیل وارد شده معتبر نیست."
-          , url:        "آدرس سایت وارد شده معتبر نیست."
-          , urlstrict:  "آدرس سایت وارد شده معتبر نیست."
-          , number:     "عدد وارد شده معتبر نیست."
-          , digits:     "تعداد ارقام وارد شده معتبر نیست."
-          , dateIso:    "تاریخ به صورت صحیح وارد نشده است. (YYYY-MM-DD)."
-          , alphanum:   "فقط عدد و حروف معتبر است."
-        }
-      , notnull:        "این مقدار نباید تهی باشد."
-      , notblank:       "این مقدار نباید خالی باشد."
-      , required:       "این مقدار لازم است."
-      , regexp:         "مقدار وارد شده معتبر نیست"
-      , min:            "مقدار وارد شده نباید از  %s کمتر باشد."
-      , max:            "مقدار وارد شده نباید از %s بیشتر باشد."
-      , range:          "مقدار وارد شده باید بین %s و %s باشد."
-      , minlength:      "طول مقدار وارد شده باید حداقل %s حرف باشد."
-      , maxlength:      "تعداد حرف وارد شده نباید بیشتر از %s حرف باشد."
-      , rangelength:    "تعداد حروف وارد شده باید بین  %s و %s حرف باشد."
-      , equalto:        "این مقدار باید با مقدار اصلی برابر باشد"
-      , mincheck:       "تعداد انتخاب ها باید کمتر از %s انتخاب باشد."
-      , maxcheck:       "تعداد انتخاب ها باید بیشتر از %s انتخاب باشد."
-      , rangecheck:     "تعداد انتخاب ها باید بین  %s و %s انتخاب باشد."
+window.Parsley.catalogs.fa = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.fa, {
+  messages: {
+    // parsley //////////////////////////////////////
+      defaultMessage: "مقدار وارد شده معتبر نیست."
+    , type: {
+          email:      "آدرس ایمیل وارد شده معتبر نیست."
+        , url:        "آدرس سایت وارد شده معتبر نیست."
+        , urlstrict:  "آدرس سایت وارد شده معتبر نیست."
+        , number:     "عدد وارد شده معتبر نیست."
+        , digits:     "تعداد ارقام وارد شده معتبر نیست."
+        , dateIso:    "تاریخ به صورت صحیح وارد نشده است. (YYYY-MM-DD)."
+        , alphanum:   "فقط عدد و حروف معتبر است."
+      }
+    , notnull:        "این مقدار نباید تهی باشد."
+    , notblank:       "این مقدار نباید خالی باشد."
+    , required:       "این مقدار لازم است."
+    , regexp:         "مقدار وارد شده معتبر نیست"
+    , min:            "مقدار وارد شده نباید از  {min} کمتر باشد."
+    , max:            "مقدار وارد شده نباید از {max} بیشتر باشد."
+    , range:          "مقدار وارد شده باید بین {min} و {max} باشد."
+    , minlength:      "طول مقدار وارد شده باید حداقل {min} حرف باشد."
+    , maxlength:      "تعداد حرف وارد شده نباید بیشتر از {max} حرف باشد."
+    , rangelength:    "تعداد حروف وارد شده باید بین  {min} و {max} حرف باشد."
+    , equalto:        "این مقدار باید با مقدار اصلی برابر باشد"
+    , mincheck:       "تعداد انتخاب ها باید کمتر از {min} انتخاب باشد."
+    , maxcheck:       "تعداد انتخاب ها باید بیشتر از {max} انتخاب باشد."
+    , rangecheck:     "تعداد انتخاب ها باید بین  {min} و {max} انتخاب باشد."
 
-      // parsley.extend ///////////////////////////////
-      , minwords:       "این مقدار باید شامل حداقل %s کلمه باشد."
-      , maxwords:       "Cette valeur ne peut pas dépasser %s کلمه باشد."
-      , rangewords:     "این مقدار باید بین %s و %s کلمه باشد."
-      , greaterthan:    "مقدار وارد شده باید بیشتر از %s باشد."
-      , lessthan:       "مقدار وارد شده باید کمتر از %s باشد."
-    }
-  });
-}(window.jQuery || window.Zepto));
\ No newline at end of file
+    // parsley.extend ///////////////////////////////
+    , minwords:       "این مقدار باید شامل حداقل {min} کلمه باشد."
+    , maxwords:       "Cette valeur ne peut pas dépasser {max} کلمه باشد."
+    , rangewords:     "این مقدار باید بین {min} و {max} کلمه باشد."
+    , greaterthan:    "مقدار وارد شده باید بیشتر از %s باشد."
+    , lessthan:       "مقدار وارد شده باید کمتر از %s باشد."
+  }
+} );
\ No newline at end of file
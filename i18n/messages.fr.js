@@ -1,44 +1,59 @@
-window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-  window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-    messages: {
-      // parsley //////////////////////////////////////
-        defaultMessage: "Cette valeur semble non valide."
-      , type: {
-            email:      "Cette valeur n'est pas une adresse email valide."
-          , url:        "Cette valeur n'est pas une URL valide."
-          , urlstrict:  "Cette valeur n'est pas une URL valide."
-          , number:     "Cette valeur doit être un nombre."
-          , digits:     "Cette valeur doit être numérique."
-          , dateIso:    "Cette valeur n'est pas une date valide (YYYY-MM-DD)."
-          , alphanum:   "Cette valeur doit être alphanumérique."
-        }
-      , notnull:        "Cette valeur ne peut pas être nulle."
-      , notblank:       "Cette valeur ne peut pas être vide."
-      , required:       "Ce champ est requis."
-      , regexp:         "Cette valeur semble non valide."
-      , min:            "Cette valeur ne doit pas être inféreure à %s."
-      , max:            "Cette valeur ne doit pas excéder %s."
-      , range:          "Cette valeur doit être comprise entre %s et %s."
-      , minlength:      "Cette chaîne est trop courte. Elle doit avoir au minimum %s caractères."
-      , maxlength:      "Cette chaîne est trop longue. Elle doit avoir au maximum %s caractères."
-      , rangelength:    "Cette valeur doit contenir entre %s et %s caractères."
-      , equalto:        "Cette valeur devrait être identique."
-      , mincheck:       "Vous devez sélectionner au moins %s choix."
-      , maxcheck:       "Vous devez sélectionner %s choix maximum."
-      , rangecheck:     "Vous devez sélectionner entre %s et %s choix."
+window.Parsley.catalogs.fr = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.fr, {
+  messages: {
+    // parsley //////////////////////////////////////
+      defaultMessage: "Cette valeur semble non valide."
+    , type: {
+          email:      "Cette valeur n'est pas une adresse email valide."
+        , url:        "Cette valeur n'est pas une URL valide."
+        , urlstrict:  "Cette valeur n'est pas une URL valide."
+        , number:     "Cette valeur doit être un nombre."
+        , digits:     "Cette valeur doit être numérique."
+        , dateIso:    "Cette valeur n'est pas une date valide (YYYY-MM-DD)."
+        , alphanum:   "Cette valeur doit être alphanumérique."
+      }
+    , notnull:        "Cette valeur ne peut pas être nulle."
+    , notblank:       "Cette valeur ne peut pas être vide."
+    , required:       "Ce champ est requis."
+    , regexp:         "Cette valeur semble non valide."
+    , min:            "Cette valeur ne doit pas être inféreure à {min}."
+    , max:            "Cette valeur ne doit pas excéder {max}."
+    , range:          "Cette valeur doit être comprise entre {min} et {max}."
+    , minlength:      "Cette chaîne est trop courte. Elle doit avoir au minimum {min, plural, one {# caractère} other {# caractères}}."
+    , maxlength:      "Cette chaîne est trop longue. Elle doit avoir au maximum {max, plural, one {# caractère} other {# caractères}}."
+    , rangelength:    "Cette valeur doit contenir entre {min} et {max} caractères."
+    , equalto:        "Cette valeur devrait être identique."
+    , date:           "Cette valeur doit être une date valide ({format})."
+    , mindate:        "Cette date doit être égale ou postérieure au {min}."
+    , maxdate:        "Cette date doit être égale ou antérieure au {max}."
+    , daterange:      "Cette date doit être comprise entre le {min} et le {max}."
+    , step:           "Cette valeur doit être un multiple de {step}."
+    , accept:         "Ce fichier doit être de type {accept}."
+    , validity:       "Cette valeur semble non valide."
+    , maxfilesize:    "Ce fichier est trop volumineux. Il ne doit pas dépasser {max} Ko."
+    , minfiles:       "Vous devez sélectionner au moins {min, plural, one {# fichier} other {# fichiers}}."
+    , maxfiles:       "Vous devez sélectionner {max, plural, one {# fichier} other {# fichiers}} maximum."
+    , imagemin:       "Cette image est trop petite. Elle doit faire au moins {width}x{height} pixels."
+    , imagemax:       "Cette image est trop grande. Elle doit faire au plus {width}x{height} pixels."
+    , mincheck:       "Vous devez sélectionner au moins {min} choix."
+    , maxcheck:       "Vous devez sélectionner {max} choix maximum."
+    , rangecheck:     "Vous devez sélectionner entre {min} et {max} choix."
 
-      // parsley.extend ///////////////////////////////
-      , minwords:       "Cette valeur doit contenir plus de %s mots."
-      , maxwords:       "Cette valeur ne peut pas dépasser %s mots."
-      , rangewords:     "Cette valeur doit comprendre %s à %s mots."
-      , greaterthan:    "Cette valeur doit être plus grande que %s."
-      , lessthan:       "Cette valeur doit être plus petite que %s."
-      , beforedate:     "Cette date doit être inferieure à celle de %s."
-      , afterdate:      "Cette date doit être supérieure à celle de %s."
-      , luhn:           "Cette valeur doit passer l'algorithme de Luhn."
-      , americandate:   "Cette valeur doit être une date valide (MM/DD/YYYY)."
-    }
-  });
-}(window.jQuery || window.Zepto));
+    // parsley.extend ///////////////////////////////
+    , minwords:       "Cette valeur doit contenir plus de {min, plural, one {# mot} other {# mots}}."
+    , maxwords:       "Cette valeur ne peut pas dépasser {max, plural, one {# mot} other {# mots}}."
+    , rangewords:     "Cette valeur doit comprendre {min} à {max} mots."
+    , greaterthan:    "Cette valeur doit être plus grande que %s."
+    , lessthan:       "Cette valeur doit être plus petite que %s."
+    , beforedate:     "Cette date doit être inferieure à celle de %s."
+    , afterdate:      "Cette date doit être supérieure à celle de %s."
+    , luhn:           "Cette valeur doit passer l'algorithme de Luhn."
+    , americandate:   "Cette valeur doit être une date valide (MM/DD/YYYY)."
+  }
+  , pluralRule: function ( count ) {
+    return count < 2 ? 'one' : 'other';
+  }
+  , numberFormat: { decimal: ',', grouping: ' ' }
+} );
@@ -2,47 +2,54 @@
 * /!\ This file is in Croatian /!\
 */
 
-window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-  window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-    messages: {
-      // parsley //////////////////////////////////////
-        defaultMessage: "Pogrešan unos"
-        , type: {
-            email:      "Potrebno je unijeti ispravnu e-mail adresu"
-          , url:        "Potrebno je unijeti ispravan link"
-          , urlstrict:  "Potrebno je unijeti ispravan link."
-          , number:     "Potrebno je unijeti ispravan broj"
-          , digits:     "U ovom polju je isključivo dopušteno unošenje brojeva."
-          , dateIso:    "Potrebno je unijeti ispravan datum (GGGG-MM-DD)."
-          , alphanum:   "U ovom polju je isključivo dopušteno unošenje brojeva i slova."
-          , phone:      "Unesite ispravan broj telefona"
-        }
-      , notnull:        "Potrebno je unijeti ispravan podatak."
-      , notblank:       "Potrebno je unijeti ispravan podatak."
-      , required:       "Ovo je obavezno polje."
-      , regexp:         "Čini se da ste unijeli krivi izraz"
-      , min:            "Ova vrijednost mora biti veća ili jednaka %s."
-      , max:            "Ova vrijednost mora biti manja ili jednaka %s."
-      , range:          "Ova vrijednost mora biti između %s i %s."
-      , minlength:      "Uneseni podatak je prekratak. Potrebno je %s ili više znakova."
-      , maxlength:      "Uneseni podatak je predug. Potrebno je %s ili manje znakova."
-      , rangelength:    "Raspon nije u dopuštenim granicama. Potrebno je da bude između %s i %s znakova."
-      , mincheck:       "Potrebno je odabrati %s opcije."
-      , maxcheck:       "Potrebno je odabrati %s ili manje opcija."
-      , rangecheck:     "Potrebno je odabrati između %s i %s opcija."
-      , equalto:        "Unesena vrijednost mora odgovarati prethodnoj."
+window.Parsley.catalogs.hr = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.hr, {
+  messages: {
+    // parsley //////////////////////////////////////
+      defaultMessage: "Pogrešan unos"
+      , type: {
+          email:      "Potrebno je unijeti ispravnu e-mail adresu"
+        , url:        "Potrebno je unijeti ispravan link"
+        , urlstrict:  "Potrebno je unijeti ispravan link."
+        , number:     "Potrebno je unijeti ispravan broj"
+        , digits:     "U ovom polju je isključivo dopušteno unošenje brojeva."
+        , dateIso:    "Potrebno je unijeti ispravan datum (GGGG-MM-DD)."
+        , alphanum:   "U ovom polju je isključivo dopušteno unošenje brojeva i slova."
+        , phone:      "Unesite ispravan broj telefona"
+      }
+    , notnull:        "Potrebno je unijeti ispravan podatak."
+    , notblank:       "Potrebno je unijeti ispravan podatak."
+    , required:       "Ovo je obavezno polje."
+    , regexp:         "Čini se da ste unijeli krivi izraz"
+    , min:            "Ova vrijednost mora biti veća ili jednaka {min}."
+    , max:            "Ova vrijednost mora biti manja ili jednaka {max}."
+    , range:          "Ova vrijednost mora biti između {min} i {max}."
+    , minlength:      "Uneseni podatak je prekratak. Potrebno je {min, plural, one {# znak} few {# znaka} other {# znakova}} ili više."
+    , maxlength:      "Uneseni podatak je predug. Potrebno je {max, plural, one {# znak} few {# znaka} other {# znakova}} ili manje."
+    , rangelength:    "Raspon nije u dopuštenim granicama. Potrebno je da bude između {min} i {max} znakova."
+    , mincheck:       "Potrebno je odabrati {min, plural, one {# opciju} few {# opcije} other {# opcija}}."
+    , maxcheck:       "Potrebno je odabrati {max, plural, one {# opciju} few {# opcije} other {# opcija}} ili manje."
+    , rangecheck:     "Potrebno je odabrati između {min} i {max} opcija."
+    , equalto:        "Unesena vrijednost mora odgovarati prethodnoj."
 
-      // parsley.extend ///////////////////////////////
-      , minwords:       "Unos mora sadržavati minimalno %s riječi."
-      , maxwords:       "Unos mora sadržavati maksimalno %s riječi."
-      , rangewords:     "Unos mora sadržavati %s do %s riječi."
-      , greaterthan:    "Unos mora biti veći od %s."
-      , lessthan:       "Unos mora biti manji od %s."
-      , beforedate:     "Odabrani datum bi trebao biti prije %s."
-      , afterdate:      "Odabrani datum bi trebao biti poslije %s."
-      , americandate:  "Uneseni datum mora biti u zadanom obliku (MM/DD/GGGG)."
+    // parsley.extend ///////////////////////////////
+    , minwords:       "Unos mora sadržavati minimalno {min} riječi."
+    , maxwords:       "Unos mora sadržavati maksimalno {max} riječi."
+    , rangewords:     "Unos mora sadržavati {min} do {max} riječi."
+    , greaterthan:    "Unos mora biti veći od %s."
+    , lessthan:       "Unos mora biti manji od %s."
+    , beforedate:     "Odabrani datum bi trebao biti prije %s."
+    , afterdate:      "Odabrani datum bi trebao biti poslije %s."
+    , americandate:  "Uneseni datum mora biti u zadanom obliku (MM/DD/GGGG)."
+  }
+  , pluralRule: function ( count ) {
+    if ( 1 === count % 10 && 11 !== count % 100 ) {
+      return 'one';
     }
-  });
-}(window.jQuery || window.Zepto));
+
+    return count % 10 >= 2 && count % 10 <= 4 && ( count % 100 < 12 || count % 100 > 14 ) ? 'few' : 'other';
+  }
+  , numberFormat: { decimal: ',', grouping: '.' }
+} );
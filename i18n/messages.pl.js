@@ -1,40 +1,47 @@
-window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-  window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-    messages: {
-      // parsley ////////PL/by/Tymek.Cz////////////////
-        defaultMessage: "Wartość nieprawidłowa"
-      , type: {
-            email:      "Niepoprawny adres e-mail"
-          , url:        "Niepoprawny adres URL"
-          , urlstrict:  "Niepoprawny format adresu adres URL"
-          , number:     "Wpisz poprawną liczbę"
-          , digits:     "Dozwolone tylko cyfry"
-          , dateIso:    "Niepoprawny format  (użyj RRRR-MM-DD)"
-          , alphanum:   "Dozwolone tylko znaki alfanumeryczne"
-        }
-      , notnull:        "Wartość nie może być równa zero"
-      , notblank:       "Pole nie może pozostać puste"
-      , required:       "Pole wymagane"
-      , regexp:         "Niepoprawna wartość"
-      , min:            "Wpisz wartość większą od %s"
-      , max:            "Wpisz wartość mniejszą od %s"
-      , range:          "Wpisz wartość pomiędzy %s i %s"
-      , minlength:      "Wpisz %s lub więcej znaków"
-      , maxlength:      "Wpisz %s lub mniej znaków"
-      , rangelength:    "Wpisz od %s do %s znaków"
-      , mincheck:       "Wybierz %s lub więcej opcji"
-      , maxcheck:       "Wybierz %s lub mniej opcji"
-      , rangecheck:     "Wybierz od %s do %s opcji"
-      , equalto:        "Wartość nie jest identyczna"
+window.Parsley.catalogs.pl = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.pl, {
+  messages: {
+    // parsley ////////PL/by/Tymek.Cz////////////////
+      defaultMessage: "Wartość nieprawidłowa"
+    , type: {
+          email:      "Niepoprawny adres e-mail"
+        , url:        "Niepoprawny adres URL"
+        , urlstrict:  "Niepoprawny format adresu adres URL"
+        , number:     "Wpisz poprawną liczbę"
+        , digits:     "Dozwolone tylko cyfry"
+        , dateIso:    "Niepoprawny format  (użyj RRRR-MM-DD)"
+        , alphanum:   "Dozwolone tylko znaki alfanumeryczne"
+      }
+    , notnull:        "Wartość nie może być równa zero"
+    , notblank:       "Pole nie może pozostać puste"
+    , required:       "Pole wymagane"
+    , regexp:         "Niepoprawna wartość"
+    , min:            "Wpisz wartość większą od {min}"
+    , max:            "Wpisz wartość mniejszą od {max}"
+    , range:          "Wpisz wartość pomiędzy {min} i {max}"
+    , minlength:      "Wpisz {min, plural, one {# znak} few {# znaki} many {# znaków}} lub więcej"
+    , maxlength:      "Wpisz {max, plural, one {# znak} few {# znaki} many {# znaków}} lub mniej"
+    , rangelength:    "Wpisz od {min} do {max} znaków"
+    , mincheck:       "Wybierz {min, plural, one {# opcję} few {# opcje} many {# opcji}} lub więcej"
+    , maxcheck:       "Wybierz {max, plural, one {# opcję} few {# opcje} many {# opcji}} lub mniej"
+    , rangecheck:     "Wybierz od {min} do {max} opcji"
+    , equalto:        "Wartość nie jest identyczna"
 
-      // parsley.extend /PL/by/Tymek.Cz////////////////
-      , minwords:       "Wpisz więcej niż %s wyrazów"
-      , maxwords:       "Wpisz co najwyżej %s wyrazów"
-      , rangewords:     "Wpisz od %s do %s wyrazów"
-      , greaterthan:    "Podaj wartość większą od %s"
-      , lessthan:       "Podaj wartość mniejszą od %s"
+    // parsley.extend /PL/by/Tymek.Cz////////////////
+    , minwords:       "Wpisz więcej niż {min, plural, one {# wyraz} few {# wyrazy} many {# wyrazów}}"
+    , maxwords:       "Wpisz co najwyżej {max, plural, one {# wyraz} few {# wyrazy} many {# wyrazów}}"
+    , rangewords:     "Wpisz od {min} do {max} wyrazów"
+    , greaterthan:    "Podaj wartość większą od %s"
+    , lessthan:       "Podaj wartość mniejszą od %s"
+  }
+  , pluralRule: function ( count ) {
+    if ( 1 === count ) {
+      return 'one';
     }
-  });
-}(window.jQuery || window.Zepto));
+
+    return count % 10 >= 2 && count % 10 <= 4 && ( count % 100 < 12 || count % 100 > 14 ) ? 'few' : 'many';
+  }
+  , numberFormat: { decimal: ',', grouping: ' ' }
+} );
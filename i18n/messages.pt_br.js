@@ -1,42 +1,42 @@
-window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-  window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-    messages: {
-      // parsley //////////////////////////////////////
-        defaultMessage: "Este valor parece estar inválido."
-      , type: {
-          email:      "Este valor deve ser um e-mail válido."
-        , url:        "Este valor deve ser uma URL válida."
-        , urlstrict:  "Este valor deve ser uma URL válida."
-        , number:     "Este valor deve ser um número válido."
-        , digits:     "Este valor deve ser um dígito válido."
-        , dateIso:    "Este valor deve ser uma data válida (YYYY-MM-DD)."
-        , alphanum:   "Este valor deve ser alfanumérico."
-        , phone:      "Este valor deve ser um número telefone válido."
-      }
-      , notnull:        "Este valor não deve ser nulo."
-      , notblank:       "Este valor não deve ser branco."
-      , required:       "Este valor é obrigatório."
-      , regexp:         "Este valor parece estar inválido."
-      , min:            "Este valor deve ser maior ou igual a %s."
-      , max:            "Este valor deve ser menor ou igual a %s."
-      , range:          "Este valor deve estar entre %s e %s."
-      , minlength:      "Este valor é muito pequeno. Ele deve ter %s caracteres ou mais."
-      , maxlength:      "Este valor é muito grande. Ele deve ter %s caracteres ou menos."
-      , rangelength:    "O tamanho deste valor é inválido. Ele deve possuir entre %s e %s caracteres."
-      , mincheck:       "Você deve selecionar pelo menos %s opções."
-      , maxcheck:       "Você deve selecionar %s opções ou menos."
-      , rangecheck:     "Você deve selecionar entre %s e %s opções."
-      , equalto:        "Este valor deve ser o mesmo."
-      // parsley.extend ///////////////////////////////
-      , minwords:       "Este valor deve possuir no mínimo %s palavras."
-      , maxwords:       "Este valor deve possuir no máximo %s palavras."
-      , rangewords:     "Este valor deve possuir entre %s e %s palavras."
-      , greaterthan:    "Este valor deve ser maior que %s."
-      , lessthan:       "Este valor deve ser menor que %s."
-      , beforedate:     "Esta data deve ser anterior a %s."
-      , afterdate:      "Esta data deve ser posterior a %s."
+window.Parsley.catalogs.pt_br = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.pt_br, {
+  messages: {
+    // parsley //////////////////////////////////////
+      defaultMessage: "Este valor parece estar inválido."
+    , type: {
+        email:      "Este valor deve ser um e-mail válido."
+      , url:        "Este valor deve ser uma URL válida."
+      , urlstrict:  "Este valor deve ser uma URL válida."
+      , number:     "Este valor deve ser um número válido."
+      , digits:     "Este valor deve ser um dígito válido."
+      , dateIso:    "Este valor deve ser uma data válida (YYYY-MM-DD)."
+      , alphanum:   "Este valor deve ser alfanumérico."
+      , phone:      "Este valor deve ser um número telefone válido."
     }
-  });
-}(window.jQuery || window.Zepto));
+    , notnull:        "Este valor não deve ser nulo."
+    , notblank:       "Este valor não deve ser branco."
+    , required:       "Este valor é obrigatório."
+    , regexp:         "Este valor parece estar inválido."
+    , min:            "Este valor deve ser maior ou igual a {min}."
+    , max:            "Este valor deve ser menor ou igual a {max}."
+    , range:          "Este valor deve estar entre {min} e {max}."
+    , minlength:      "Este valor é muito pequeno. Ele deve ter {min} caracteres ou mais."
+    , maxlength:      "Este valor é muito grande. Ele deve ter {max} caracteres ou menos."
+    , rangelength:    "O tamanho deste valor é inválido. Ele deve possuir entre {min} e {max} caracteres."
+    , mincheck:       "Você deve selecionar pelo menos {min} opções."
+    , maxcheck:       "Você deve selecionar {max} opções ou menos."
+    , rangecheck:     "Você deve selecionar entre {min} e {max} opções."
+    , equalto:        "Este valor deve ser o mesmo."
+    // parsley.extend ///////////////////////////////
+    , minwords:       "Este valor deve possuir no mínimo {min} palavras."
+    , maxwords:       "Este valor deve possuir no máximo {max} palavras."
+    , rangewords:     "Este valor deve possuir entre {min} e {max} palavras."
+    , greaterthan:    "Este valor deve ser maior que %s."
+    , lessthan:       "Este valor deve ser menor que %s."
+    , beforedate:     "Esta data deve ser anterior a %s."
+    , afterdate:      "Esta data deve ser posterior a %s."
+  }
+  , numberFormat: { decimal: ',', grouping: '.' }
+} );
@@ -1,44 +1,51 @@
-window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-  window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-    messages: {
-      // parsley //////////////////////////////////////
-        defaultMessage: "Поле заполнено некорректно."
-        , type: {
-            email:      "Поле должно быть адресом электронной почты."
-          , url:        "Поле должно быть ссылкой на сайт."
-          , urlstrict:  "Поле должно быть ссылкой на сайт."
-          , number:     "Поле должно быть числом."
-          , digits:     "Поле должно содержать только цифры."
-          , dateIso:    "Поле должно быть датой в формате (ГГГГ-ММ-ДД)."
-          , alphanum:   "Поле должно содержать только цифры и буквы."
-          , phone:      "Поле должно содержать корректный номер телефона."
-        }
-      , notnull:        "Поле должно быть не нулевым."
-      , notblank:       "Поле не должно быть пустым."
-      , required:       "Поле обязательно для заполнения."
-      , regexp:         "Поле заполнено некорректно."
-      , min:            "Значение поля должно быть больше %s."
-      , max:            "Значение поля должно быть меньше %s."
-      , range:          "Значение поля должно быть между %s и %s."
-      , minlength:      "В поле должно быть минимум %s символов(а)."
-      , maxlength:      "В поле должно быть не больше %s символов(а)."
-      , rangelength:    "В поле должно быть от %s до %s символов(а)."
-      , mincheck:       "Необходимо выбрать не менее %s пунктов(а)."
-      , maxcheck:       "Необходимо выбрать не более %s пунктов(а)."
-      , rangecheck:     "Необходимо выбрать от %s до %s пунктов."
-      , equalto:        "Значения полей должны быть одинаковыми."
+window.Parsley.catalogs.ru = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.ru, {
+  messages: {
+    // parsley //////////////////////////////////////
+      defaultMessage: "Поле заполнено некорректно."
+      , type: {
+          email:      "Поле должно быть адресом электронной почты."
+        , url:        "Поле должно быть ссылкой на сайт."
+        , urlstrict:  "Поле должно быть ссылкой на сайт."
+        , number:     "Поле должно быть числом."
+        , digits:     "Поле должно содержать только цифры."
+        , dateIso:    "Поле должно быть датой в формате (ГГГГ-ММ-ДД)."
+        , alphanum:   "Поле должно содержать только цифры и буквы."
+        , phone:      "Поле должно содержать корректный номер телефона."
+      }
+    , notnull:        "Поле должно быть не нулевым."
+    , notblank:       "Поле не должно быть пустым."
+    , required:       "Поле обязательно для заполнения."
+    , regexp:         "Поле заполнено некорректно."
+    , min:            "Значение поля должно быть больше {min}."
+    , max:            "Значение поля должно быть меньше {max}."
+    , range:          "Значение поля должно быть между {min} и {max}."
+    , minlength:      "В поле должно быть минимум {min, plural, one {# символ} few {# символа} many {# символов}}."
+    , maxlength:      "В поле должно быть максимум {max, plural, one {# символ} few {# символа} many {# символов}}."
+    , rangelength:    "В поле должно быть от {min} до {max, plural, one {# символа} other {# символов}}."
+    , mincheck:       "Необходимо выбрать минимум {min, plural, one {# пункт} few {# пункта} many {# пунктов}}."
+    , maxcheck:       "Необходимо выбрать максимум {max, plural, one {# пункт} few {# пункта} many {# пунктов}}."
+    , rangecheck:     "Необходимо выбрать от {min} до {max} пунктов."
+    , equalto:        "Значения полей должны быть одинаковыми."
 
-      // parsley.extend ///////////////////////////////
-      , minwords:       "В поле должно быть не менее %s слов."
-      , maxwords:       "В поле должно быть не более %s слов."
-      , rangewords:     "Количество слов в поле должно быть в диапазоне от %s до %s."
-      , greaterthan:    "Значение в поле должно быть более %s."
-      , lessthan:       "Значение в поле должно быть менее %s."
-      , beforedate:     "Дата должна быть до %s."
-      , afterdate:      "Дата должна быть после %s."
-      , americandate:   "В поле должна быть корректная дата в формате MM/DD/YYYY."
+    // parsley.extend ///////////////////////////////
+    , minwords:       "В поле должно быть минимум {min, plural, one {# слово} few {# слова} many {# слов}}."
+    , maxwords:       "В поле должно быть максимум {max, plural, one {# слово} few {# слова} many {# слов}}."
+    , rangewords:     "Количество слов в поле должно быть в диапазоне от {min} до {max}."
+    , greaterthan:    "Значение в поле должно быть более %s."
+    , lessthan:       "Значение в поле должно быть менее %s."
+    , beforedate:     "Дата должна быть до %s."
+    , afterdate:      "Дата должна быть после %s."
+    , americandate:   "В поле должна быть корректная дата в формате MM/DD/YYYY."
+  }
+  , pluralRule: function ( count ) {
+    if ( 1 === count % 10 && 11 !== count % 100 ) {
+      return 'one';
     }
-  });
-}(window.jQuery || window.Zepto));
+
+    return count % 10 >= 2 && count % 10 <= 4 && ( count % 100 < 12 || count % 100 > 14 ) ? 'few' : 'many';
+  }
+  , numberFormat: { decimal: ',', grouping: ' ' }
+} );
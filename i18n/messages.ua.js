@@ -1,35 +1,42 @@
-window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
-(function ($) {
-  window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
-    messages: {
-      // parsley //////////////////////////////////////
-        defaultMessage: "Поле заповнене некорректно."
-      , type: {
-            email:      "Поле повинно бути адресою електронної пошти."
-          , url:        "Поле повинно бути посиланням на сайт."
-          , urlstrict:  "Поле повинно бути посиланням на сайт."
-          , number:     "Поле повинно бути числом."
-          , digits:     "Поле повинно містити тільки цифри."
-          , dateIso:    "Поле повинно бути датою у форматі (РРРР-ММ-ДД)."
-          , alphanum:   "Поле повинно містити тільки цифри і літери."
-        }
-      , notnull:        "Поле повинно бути не нульовим."
-      , notblank:       "Поле не повинно бути порожнім."
-      , required:       "Поле обов'язкове для заповнення."
-      , regexp:         "Поле заповнено некорректно."
-      , min:            "Значення поля повинно бути більше, ніж %s."
-      , max:            "Значення поля повинно бути меньше, ніж %s."
-      , range:          "Значення поля повинно бути між %s та %s."
-      , minlength:      "Довжина поля повинна бути щонайменьше %s символів(а)."
-      , maxlength:      "Довжина поля повинна бути щонайбільше %s символів(а)."
-      , rangelength:    "Довжина поля повинна бути від %s і до %s символів(а)."
-      , mincheck:       "Необхідно вибрати неменьше, ніж %s пункт(ів)."
-      , maxcheck:       "Необхідно вибрати небільше, ніж %s пункт(ів)."
-      , rangecheck:     "Необхідно вибрати від %s і до %s пунктів."
-      , equalto:        "Значення полів повинно бути однаковим."
+window.Parsley.catalogs.ua = ( window.jQuery || window.Zepto ).extend( true, { messages: {} }, window.Parsley.catalogs.ua, {
+  messages: {
+    // parsley //////////////////////////////////////
+      defaultMessage: "Поле заповнене некорректно."
+    , type: {
+          email:      "Поле повинно бути адресою електронної пошти."
+        , url:        "Поле повинно бути посиланням на сайт."
+        , urlstrict:  "Поле повинно бути посиланням на сайт."
+        , number:     "Поле повинно бути числом."
+        , digits:     "Поле повинно містити тільки цифри."
+        , dateIso:    "Поле повинно бути датою у форматі (РРРР-ММ-ДД)."
+        , alphanum:   "Поле повинно містити тільки цифри і літери."
+      }
+    , notnull:        "Поле повинно бути не нульовим."
+    , notblank:       "Поле не повинно бути порожнім."
+    , required:       "Поле обов'язкове для заповнення."
+    , regexp:         "Поле заповнено некорректно."
+    , min:            "Значення поля повинно бути більше, ніж {min}."
+    , max:            "Значення поля повинно бути меньше, ніж {max}."
+    , range:          "Значення поля повинно бути між {min} та {max}."
+    , minlength:      "Довжина поля повинна бути щонайменьше {min, plural, one {# символ} few {# символи} many {# символів}}."
+    , maxlength:      "Довжина поля повинна бути щонайбільше {max, plural, one {# символ} few {# символи} many {# символів}}."
+    , rangelength:    "Довжина поля повинна бути від {min} і до {max, plural, one {# символу} other {# символів}}."
+    , mincheck:       "Необхідно вибрати неменьше, ніж {min, plural, one {# пункт} few {# пункти} many {# пунктів}}."
+    , maxcheck:       "Необхідно вибрати небільше, ніж {max, plural, one {# пункт} few {# пункти} many {# пунктів}}."
+    , rangecheck:     "Необхідно вибрати від {min} і до {max} пунктів."
+    , equalto:        "Значення полів повинно бути однаковим."
 
-      // parsley.extend ///////////////////////////////
+    // parsley.extend ///////////////////////////////
+  }
+  , pluralRule: function ( count ) {
+    if ( 1 === count % 10 && 11 !== count % 100 ) {
+      return 'one';
     }
-  });
-}(window.jQuery || window.Zepto));
+
+    return count % 10 >= 2 && count % 10 <= 4 && ( count % 100 < 12 || count % 100 > 14 ) ? 'few' : 'many';
+  }
+  , numberFormat: { decimal: ',', grouping: ' ' }
+} );
@@ -1,4 +1,6 @@
 window.ParsleyConfig = window.ParsleyConfig || {};
+window.Parsley = window.Parsley || {};
+window.Parsley.catalogs = window.Parsley.catalogs || {};
 
 (function ($) {
   window.ParsleyConfig = $.extend( true, {}, window.ParsleyConfig, {
@@ -31,15 +33,11 @@ window.ParsleyConfig = window.ParsleyConfig || {};
       }
 
       , greaterthan: function ( val, elem, self ) {
-        self.options.validateIfUnchanged = true;
-
-        return new Number(val) > new Number($( elem ).val());
+        return self.parseNumber( val ) > self.parseNumber( $( elem ).val() );
       }
 
       , lessthan: function ( val, elem, self ) {
-        self.options.validateIfUnchanged = true;
-
-        return new Number(val) < new Number($( elem ).val());
+        return self.parseNumber( val ) < self.parseNumber( $( elem ).val() );
       }
 
       , beforedate: function ( val, elem, self) {
@@ -97,10 +95,25 @@ window.ParsleyConfig = window.ParsleyConfig || {};
         return day > 0 && day <= monthLength[month - 1];
       }
     }
-    , messages: {
-        minwords:       "This value should have %s words at least."
-      , maxwords:       "This value should have %s words maximum."
-      , rangewords:     "This value should have between %s and %s words."
+    , dependentValidators: {
+        greaterthan: true
+      , lessthan: true
+      , beforedate: true
+      , afterdate: true
+    }
+    , requirementsNames: {
+        minwords:       [ 'min' ]
+      , maxwords:       [ 'max' ]
+      , rangewords:     [ 'min', 'max' ]
+    }
+  });
+
+  // english messages catalog, translated by i18n/messages.*.js catalogs
+  window.Parsley.catalogs.en = $.extend( true, { messages: {} }, window.Parsley.catalogs.en, {
+    messages: {
+        minwords:       "This value should have {min, plural, one {# word} other {# words}} at least."
+      , maxwords:       "This value should have {max, plural, one {# word} other {# words}} maximum."
+      , rangewords:     "This value should have between {min} and {max} words."
       , greaterthan:    "This value should be greater than %s."
       , lessthan:       "This value should be less than %s."
       , beforedate:     "This date should be before %s."
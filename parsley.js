@@ -8,6 +8,587 @@
 
   'use strict';
 
+  /**
+  * Create a deferred, failing clearly if there is none: Zepto does not provide $.Deferred
+  *
+  * @private
+  * @method getDeferred
+  * @return {Object} $.Deferred
+  */
+  var getDeferred = function () {
+    if ( 'function' !== typeof $.Deferred ) {
+      throw "Waiting for async validators results needs $.Deferred, use jQuery instead of Zepto";
+    }
+
+    return $.Deferred();
+  };
+
+  /**
+  * Wait for every given promise to be settled.
+  * Resolves if they all resolved, rejects if at least one of them was rejected
+  *
+  * @private
+  * @method whenAll
+  * @param {Array} promises
+  * @return {Object} jQuery promise
+  */
+  var whenAll = function ( promises ) {
+    var deferred = getDeferred()
+      , remaining = promises.length
+      , failed = false;
+
+    var settle = function () {
+      if ( 0 === --remaining ) {
+        failed ? deferred.reject() : deferred.resolve();
+      }
+    };
+
+    var fail = function () {
+      failed = true;
+      settle();
+    };
+
+    if ( !remaining ) {
+      return deferred.resolve().promise();
+    }
+
+    for ( var i = 0; i < promises.length; i++ ) {
+      $.when( promises[ i ] ).then( settle, fail );
+    }
+
+    return deferred.promise();
+  };
+
+  /**
+  * Query a server to validate a field value. Used by remote validator and named async validators.
+  * A request supersedes previous one of the same validator on this field: it is aborted, its answer ignored
+  * and its promise settled with the new request result
+  *
+  * @private
+  * @method ajaxValidation
+  * @param {String} name validator name
+  * @param {Mixed} val field value
+  * @param {Object} settings { url, method, dataType, fields, data, json, options, adapter, debounce, cacheTtl }
+  * @param {Object} self ParsleyField
+  * @return {Object} jQuery promise, or null if $.Deferred is not available (Zepto)
+  */
+  var ajaxValidation = function ( name, val, settings, self ) {
+    var data = {}
+      , deferred = 'function' === typeof $.Deferred ? $.Deferred() : null
+      , requests = ( self.asyncRequests = self.asyncRequests || {} )
+      , cache = ( self.asyncCache = self.asyncCache || {} )
+      , previous = requests[ name ] || { id: 0 }
+      , request = { id: previous.id + 1, deferred: deferred, pending: true }
+      , cacheKey;
+
+    data[ self.$element.attr( 'name' ) ] = val;
+
+    // send other fields values along, eg: a country along a VAT number
+    if ( settings.fields ) {
+      $( settings.fields ).each( function () {
+        if ( ( 'radio' === this.type || 'checkbox' === this.type ) && !this.checked ) {
+          return;
+        }
+
+        data[ $( this ).attr( 'name' ) ] = $( this ).val();
+      } );
+    }
+
+    // custom payload
+    if ( 'function' === typeof settings.data ) {
+      data = settings.data( data, self );
+    } else if ( 'object' === typeof settings.data ) {
+      data = $.extend( {}, data, settings.data );
+    }
+
+    cache[ name ] = cache[ name ] || {};
+    cacheKey = settings.url + '|' + $.param( data );
+
+    // this request supersedes previous one: cancel it, its answer would be outdated
+    // and what waits for it gets the new answer instead
+    requests[ name ] = request;
+    previous.pending = false;
+    clearTimeout( previous.timeout );
+
+    if ( previous.xhr && 'function' === typeof previous.xhr.abort ) {
+      previous.xhr.abort();
+    }
+
+    if ( previous.deferred ) {
+      deferred.done( previous.deferred.resolve ).fail( previous.deferred.reject );
+    }
+
+    var manage = function ( isConstraintValid, message ) {
+      // ignore answers of superseded requests
+      if ( request.id !== requests[ name ].id ) {
+        return;
+      }
+
+      var pending = request.pending = false;
+
+      // keep pending class while another async validator of this field did not answer
+      for ( var validator in requests ) {
+        pending = pending || requests[ validator ].pending;
+      }
+
+      if ( !pending ) {
+        self.renderer.setPending( false );
+      }
+
+      // remove error message if we got a server message, different from previous message
+      if ( 'undefined' !== typeof message && message !== self.messages[ name ] ) {
+        self.renderer.removeError( name, true );
+      }
+
+      // let ParsleyField asynchronous validation pipeline handle result
+      if ( null !== deferred ) {
+        isConstraintValid ? deferred.resolve( message ) : deferred.reject( message );
+        return;
+      }
+
+      self.updtConstraint( { name: name, valid: isConstraintValid }, message );
+      self.manageValidationResult();
+    };
+
+    // transform string response into object
+    var handleResponse = function ( response ) {
+      if ( 'object' === typeof response ) {
+        return response;
+      }
+
+      try {
+        response = $.parseJSON( response );
+      } catch ( err ) {}
+
+      return response;
+    };
+
+    var manageErrorMessage = function ( response ) {
+      return 'object' === typeof response && null !== response ? ( 'undefined' !== typeof response.error ? response.error : ( 'undefined' !== typeof response.message ? response.message : null ) ) : null;
+    };
+
+    // map server answer to { valid: valid, message: message }, with custom adapter if given
+    var adapt = function ( response, isSuccess ) {
+      var result;
+
+      if ( 'function' === typeof settings.adapter ) {
+        result = settings.adapter( response, isSuccess, self );
+
+        return 'object' === typeof result && null !== result ? result : { valid: true === result };
+      }
+
+      return {
+          valid: isSuccess && ( 1 === response || true === response || ( 'object' === typeof response && null !== response && 'undefined' !== typeof response.success ) )
+        , message: manageErrorMessage( response )
+      };
+    };
+
+    // same value already checked, and its answer is still fresh
+    if ( 'undefined' !== typeof cache[ name ][ cacheKey ] && new Date().getTime() - cache[ name ][ cacheKey ].time < settings.cacheTtl ) {
+      manage( cache[ name ][ cacheKey ].valid, cache[ name ][ cacheKey ].message );
+
+      return null !== deferred ? deferred.promise() : null;
+    }
+
+    var send = function () {
+      var ajaxSettings = {
+          url: settings.url
+        , data: data
+        , type: settings.method || 'GET'
+        , success: function ( response ) {
+          var result = adapt( handleResponse( response ), true );
+
+          if ( settings.cacheTtl > 0 && request.id === requests[ name ].id ) {
+            cache[ name ][ cacheKey ] = { valid: result.valid, message: result.message, time: new Date().getTime() };
+          }
+
+          manage( result.valid, result.message );
+        }
+        , error: function ( response ) {
+          var result = adapt( handleResponse( response ), false );
+          manage( result.valid, result.message );
+        }
+      };
+
+      if ( 'undefined' !== typeof settings.dataType ) {
+        ajaxSettings.dataType = settings.dataType;
+      }
+
+      if ( settings.json ) {
+        $.extend( ajaxSettings, { data: JSON.stringify( data ), contentType: 'application/json', type: settings.method || 'POST' } );
+      }
+
+      // custom settings like headers could be given with options
+      request.xhr = $.ajax( $.extend( {}, settings.options, ajaxSettings ) );
+    };
+
+    self.renderer.setPending( true );
+
+    // wait for user to stop typing before querying server
+    if ( settings.debounce > 0 ) {
+      request.timeout = setTimeout( send, settings.debounce );
+    } else {
+      send();
+    }
+
+    return null !== deferred ? deferred.promise() : null;
+  };
+
+  /**
+  * Returns regExp matching numbers written with given decimal and grouping separators
+  *
+  * @private
+  * @method numberRegExp
+  * @param {Object} format { decimal: '.', grouping: ',' }
+  * @return {RegExp}
+  */
+  var numberRegExp = function ( format ) {
+    var escape = function ( separator ) {
+      return separator.replace( /[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&' );
+    };
+
+    return new RegExp( '^-?(?:\\d+|\\d{1,3}(?:' + escape( format.grouping ) + '\\d{3})+)?(?:' + escape( format.decimal ) + '\\d+)?$' );
+  };
+
+  /**
+  * Parse a number written with given decimal and grouping separators, eg: "1.234,56" with { decimal: ',', grouping: '.' }
+  * Values not written this way are parsed as javascript numbers, eg: "1e3"
+  *
+  * @private
+  * @method parseNumber
+  * @param {String} val
+  * @param {Object} format { decimal: '.', grouping: ',' }
+  * @return {Number} NaN if not a number
+  */
+  var parseNumber = function ( val, format ) {
+    val = $.trim( '' + val );
+
+    if ( !numberRegExp( format ).test( val ) ) {
+      return Number( val );
+    }
+
+    return Number( val.split( format.grouping ).join( '' ).replace( format.decimal, '.' ) );
+  };
+
+  /**
+  * Date format tokens: regExp matching them, and date part they set
+  *
+  * @private
+  * @property dateTokens
+  * @type {Object}
+  */
+  var dateTokens = {
+      YYYY: { regExp: '(\\d{4})', part: 'year' }
+    , MM:   { regExp: '(\\d{2})', part: 'month' }
+    , M:    { regExp: '(\\d{1,2})', part: 'month' }
+    , DD:   { regExp: '(\\d{2})', part: 'day' }
+    , D:    { regExp: '(\\d{1,2})', part: 'day' }
+    , HH:   { regExp: '(\\d{2})', part: 'hours' }
+    , H:    { regExp: '(\\d{1,2})', part: 'hours' }
+    , mm:   { regExp: '(\\d{2})', part: 'minutes' }
+    , ss:   { regExp: '(\\d{2})', part: 'seconds' }
+    , WW:   { regExp: '(\\d{2})', part: 'week' }
+  };
+
+  /**
+  * Check that a day exists in calendar, eg: not Feb 31
+  *
+  * @private
+  * @method isCalendarDate
+  * @param {Number} year
+  * @param {Number} month 1 to 12
+  * @param {Number} day
+  * @return {Boolean}
+  */
+  var isCalendarDate = function ( year, month, day ) {
+    var date = new Date( year, month - 1, day );
+
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  };
+
+  /**
+  * Parse a date written with a format, eg: "31/12/2013" with "DD/MM/YYYY" or "23:59" with "HH:mm".
+  * Supported tokens: YYYY, MM, M, DD, D, HH, H, mm, ss and WW (ISO week, parsed as its Monday). Escape other letters
+  * between brackets, eg: "YYYY-[W]WW". Date parts absent of format default to 1970-01-01 00:00:00
+  *
+  * @private
+  * @method parseDate
+  * @param {String} val
+  * @param {String} format
+  * @return {Date} null if val does not follow format or is not a real date
+  */
+  var parseDate = function ( val, format ) {
+    var parts = []
+      , date = { year: 1970, month: 1, day: 1, hours: 0, minutes: 0, seconds: 0, week: null }
+      , regExp = format.replace( /\[[^\]]*\]|YYYY|MM|M|DD|D|HH|H|mm|ss|WW|[\s\S]/g, function ( token ) {
+          if ( dateTokens[ token ] ) {
+            parts.push( dateTokens[ token ].part );
+            return dateTokens[ token ].regExp;
+          }
+
+          return token.replace( /^\[(.*)\]$/, '$1' ).replace( /[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&' );
+        } )
+      , matches = new RegExp( '^' + regExp + '$' ).exec( $.trim( '' + val ) )
+      , monday;
+
+    if ( null === matches ) {
+      return null;
+    }
+
+    for ( var i = 0; i < parts.length; i++ ) {
+      date[ parts[ i ] ] = parseInt( matches[ i + 1 ], 10 );
+    }
+
+    // ISO weeks start on Monday, and belong to the year of their Thursday. Week 1 contains January 4th
+    if ( null !== date.week ) {
+      monday = new Date( date.year, 0, 4 );
+      monday.setDate( monday.getDate() - ( monday.getDay() || 7 ) + 1 + 7 * ( date.week - 1 ) );
+
+      if ( new Date( monday.getFullYear(), monday.getMonth(), monday.getDate() + 3 ).getFullYear() !== date.year ) {
+        return null;
+      }
+
+      date.year = monday.getFullYear();
+      date.month = monday.getMonth() + 1;
+      date.day = monday.getDate();
+    }
+
+    if ( !isCalendarDate( date.year, date.month, date.day ) || date.hours > 23 || date.minutes > 59 || date.seconds > 59 ) {
+      return null;
+    }
+
+    return new Date( date.year, date.month - 1, date.day, date.hours, date.minutes, date.seconds );
+  };
+
+  /**
+  * Write a date with a format, see parseDate
+  *
+  * @private
+  * @method formatDate
+  * @param {Date} date
+  * @param {String} format
+  * @return {String}
+  */
+  var formatDate = function ( date, format ) {
+    var thursday = new Date( date.getFullYear(), date.getMonth(), date.getDate() + 4 - ( date.getDay() || 7 ) )
+      , values = {
+        YYYY: /WW/.test( format.replace( /\[[^\]]*\]/g, '' ) ) ? thursday.getFullYear() : date.getFullYear()
+      , MM: date.getMonth() + 1
+      , M: date.getMonth() + 1
+      , DD: date.getDate()
+      , D: date.getDate()
+      , HH: date.getHours()
+      , H: date.getHours()
+      , mm: date.getMinutes()
+      , ss: date.getSeconds()
+      , WW: Math.floor( Math.round( ( thursday - new Date( thursday.getFullYear(), 0, 1 ) ) / 864e5 ) / 7 ) + 1
+    };
+
+    return format.replace( /\[[^\]]*\]|YYYY|MM|M|DD|D|HH|H|mm|ss|WW/g, function ( token ) {
+      if ( 'undefined' === typeof values[ token ] ) {
+        return token.substring( 1, token.length - 1 );
+      }
+
+      return 2 === token.length && values[ token ] < 10 ? '0' + values[ token ] : '' + values[ token ];
+    } );
+  };
+
+  /**
+  * Returns files of a file input value: its FileList, or a single file name if browser does not support File API
+  *
+  * @private
+  * @method getFiles
+  * @param {Mixed} val FileList, file name or empty string
+  * @return {Array} files, objects with name, type and size properties
+  */
+  var getFiles = function ( val ) {
+    if ( 'string' !== typeof val ) {
+      return val;
+    }
+
+    return '' !== val ? [ { name: val.replace( /^.*[\\\/]/, '' ), type: '' } ] : [];
+  };
+
+  /**
+  * Read an image file with FileReader and check its dimensions
+  *
+  * @private
+  * @method checkImage
+  * @param {Object} file File
+  * @param {Function} check function ( width, height ) returning if dimensions are valid
+  * @return {Object} jQuery promise, resolved if image dimensions are valid, rejected otherwise
+  */
+  var checkImage = function ( file, check ) {
+    var deferred = getDeferred()
+      , reader = new window.FileReader();
+
+    reader.onload = function () {
+      var image = new window.Image();
+
+      image.onload = function () {
+        check( image.width, image.height ) ? deferred.resolve() : deferred.reject();
+      };
+      image.onerror = function () {
+        deferred.reject();
+      };
+      image.src = reader.result;
+    };
+    reader.onerror = function () {
+      deferred.reject();
+    };
+    reader.readAsDataURL( file );
+
+    return deferred.promise();
+  };
+
+  /**
+  * Check dimensions of every selected image. Files that are not images are ignored
+  *
+  * @private
+  * @method checkImages
+  * @param {Mixed} val file input value
+  * @param {Function} check function ( width, height ) returning if dimensions are valid
+  * @return {Mixed} jQuery promise, or true if images could not be read (no File API, FileReader or $.Deferred)
+  */
+  var checkImages = function ( val, check ) {
+    var promises = [];
+
+    if ( 'string' === typeof val || 'undefined' === typeof window.FileReader || 'function' !== typeof $.Deferred ) {
+      return true;
+    }
+
+    for ( var i = 0; i < val.length; i++ ) {
+      if ( /^image\//.test( val[ i ].type ) ) {
+        promises.push( checkImage( val[ i ], check ) );
+      }
+    }
+
+    return whenAll( promises );
+  };
+
+  /**
+  * Browser ValidityState flags consumed by validity validator with data-validity="true"
+  * valueMissing is left to required validator, and customError is set by Parsley itself, see customValidity option
+  *
+  * @private
+  * @property validityFlags
+  * @type {Array}
+  */
+  var validityFlags = [ 'badInput', 'typeMismatch', 'patternMismatch', 'rangeOverflow', 'rangeUnderflow', 'stepMismatch', 'tooLong', 'tooShort' ];
+
+  /**
+  * Create an object inheriting from parent one, with own properties of given object
+  * Used by validators registries: a field registry inherits from its form one, which inherits from global one
+  *
+  * @private
+  * @method inheritObject
+  * @param {Object} parent
+  * @param {Object} own Optional own properties. Those equal to parent ones are not copied, so that parent updates are seen
+  * @return {Object}
+  */
+  var inheritObject = function ( parent, own ) {
+    var F = function () {}
+      , object;
+
+    F.prototype = parent;
+    object = new F();
+
+    for ( var key in own ) {
+      if ( own.hasOwnProperty( key ) && own[ key ] !== parent[ key ] ) {
+        object[ key ] = own[ key ];
+      }
+    }
+
+    return object;
+  };
+
+  /**
+  * Messages catalogs registry, one catalog by locale: { messages: {}, pluralRule: function ( count ) {}, numberFormat: {} }
+  * i18n/messages.*.js files register their catalog here, loaded before or after Parsley.
+  * Built-in english messages are used until a locale is set with Parsley.setLocale()
+  *
+  * @property window.Parsley
+  * @type {Object}
+  */
+  var Parsley = window.Parsley = $.extend( true, { catalogs: {}, locale: false }, window.Parsley );
+
+  /**
+  * Bound forms and fields instances, whose displayed errors are re-rendered when default locale changes
+  *
+  * @private
+  * @property instances
+  * @type {Array}
+  */
+  var instances = [];
+
+  /**
+  * Register a locale messages catalog, or extend an existing one
+  *
+  * @method addCatalog
+  * @param {String} locale eg: 'fr'
+  * @param {Object} messages Same structure as messages option
+  * @param {Object} settings Optional { pluralRule: function ( count ) {}, numberFormat: { decimal: ',', grouping: '.' } }
+  *                          A plural rule function alone is accepted too
+  */
+  Parsley.addCatalog = function ( locale, messages, settings ) {
+    var catalog = Parsley.catalogs[ locale ] = Parsley.catalogs[ locale ] || { messages: {} };
+
+    if ( 'function' === typeof settings ) {
+      settings = { pluralRule: settings };
+    }
+
+    $.extend( true, catalog, settings || {}, { messages: messages || {} } );
+  };
+
+  /**
+  * Change default locale and re-render displayed errors of forms and fields not having their own data-locale
+  *
+  * @method setLocale
+  * @param {String} locale eg: 'fr'. false to use built-in english messages
+  */
+  Parsley.setLocale = function ( locale ) {
+    Parsley.locale = locale;
+
+    for ( var i = 0; i < instances.length; i++ ) {
+      if ( false !== instances[ i ].options.locale ) {
+        continue;
+      }
+
+      // forms update their fields following their locale, do not update these fields twice
+      if ( 'parsleyForm' === instances[ i ].type || !instances[ i ].getParentForm() || false !== instances[ i ].getParentForm().options.locale ) {
+        instances[ i ].setLocale( false );
+      }
+    }
+  };
+
+  /**
+  * Add / override a validator in global registry, inherited by every forms and fields registries
+  * Use validators option or ParsleyForm addValidator() to scope a validator to a form
+  *
+  * @method addValidator
+  * @param {String} name Validator name
+  * @param {Function} fn Validator function
+  * @param {Array} requirementsNames Optional requirements names usable as messages placeholders
+  * @param {Number} priority Optional validator priority
+  */
+  Parsley.addValidator = function ( name, fn, requirementsNames, priority ) {
+    Validator.prototype.addValidator( name.toLowerCase(), fn, requirementsNames, priority );
+  };
+
+  /**
+  * Remove a validator from global registry. Forms and fields registries own validators are kept
+  *
+  * @method removeValidator
+  * @param {String} name Validator name
+  */
+  Parsley.removeValidator = function ( name ) {
+    name = name.toLowerCase();
+
+    delete Validator.prototype.validators[ name ];
+    delete Validator.prototype.requirementsNames[ name ];
+    delete Validator.prototype.priorities[ name ];
+  };
+
   /**
   * Validator class stores all constraints functions and associated messages.
   * Provides public interface to add, remove or modify them
@@ -16,6 +597,14 @@
   * @constructor
   */
   var Validator = function ( options ) {
+    /**
+    * Error messages given by options, data-api or server answers. They override locales catalogs messages
+    *
+    * @property customMessages
+    * @type {Object}
+    */
+    this.customMessages = { type: {} };
+
     /**
     * Error messages
     *
@@ -38,16 +627,28 @@
       , notblank:       "This value should not be blank."
       , required:       "This value is required."
       , regexp:         "This value seems to be invalid."
-      , min:            "This value should be greater than or equal to %s."
-      , max:            "This value should be lower than or equal to %s."
-      , range:          "This value should be between %s and %s."
-      , minlength:      "This value is too short. It should have %s characters or more."
-      , maxlength:      "This value is too long. It should have %s characters or less."
-      , rangelength:    "This value length is invalid. It should be between %s and %s characters long."
-      , mincheck:       "You must select at least %s choices."
-      , maxcheck:       "You must select %s choices or less."
-      , rangecheck:     "You must select between %s and %s choices."
+      , min:            "This value should be greater than or equal to {min}."
+      , max:            "This value should be lower than or equal to {max}."
+      , range:          "This value should be between {min} and {max}."
+      , minlength:      "This value is too short. It should have {min, plural, one {# character} other {# characters}} or more."
+      , maxlength:      "This value is too long. It should have {max, plural, one {# character} other {# characters}} or less."
+      , rangelength:    "This value length is invalid. It should be between {min} and {max} characters long."
+      , mincheck:       "You must select at least {min, plural, one {# choice} other {# choices}}."
+      , maxcheck:       "You must select {max, plural, one {# choice} other {# choices}} or less."
+      , rangecheck:     "You must select between {min} and {max} choices."
       , equalto:        "This value should be the same."
+      , date:           "This value should be a valid date ({format})."
+      , mindate:        "This date should be equal to or after {min}."
+      , maxdate:        "This date should be equal to or before {max}."
+      , daterange:      "This date should be between {min} and {max}."
+      , step:           "This value should be a multiple of {step}."
+      , accept:         "This file should be of type {accept}."
+      , validity:       "This value seems to be invalid."
+      , maxfilesize:    "This file is too big. It should not exceed {max} KB."
+      , minfiles:       "You must select at least {min, plural, one {# file} other {# files}}."
+      , maxfiles:       "You must select {max, plural, one {# file} other {# files}} or less."
+      , imagemin:       "This image is too small. It should be at least {width}x{height} pixels."
+      , imagemax:       "This image is too big. It should be at most {width}x{height} pixels."
     },
 
     this.init( options );
@@ -89,12 +690,12 @@
         return this.notnull( val ) && this.notblank( val );
       }
 
-      , type: function ( val, type ) {
-        var regExp;
+      , type: function ( val, type, self ) {
+        var regExp, matches;
 
         switch ( type ) {
           case 'number':
-            regExp = /^-?(?:\d+|\d{1,3}(?:,\d{3})+)?(?:\.\d+)?$/;
+            regExp = numberRegExp( self.getNumberFormat() );
             break;
           case 'digits':
             regExp = /^\d+$/;
@@ -104,6 +705,19 @@
             break;
           case 'email':
             regExp = /^((([a-z]|\d|[!#\$%&'\*\+\-\/=\?\^_`{\|}~]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])+(\.([a-z]|\d|[!#\$%&'\*\+\-\/=\?\^_`{\|}~]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])+)*)|((\x22)((((\x20|\x09)*(\x0d\x0a))?(\x20|\x09)+)?(([\x01-\x08\x0b\x0c\x0e-\x1f\x7f]|\x21|[\x23-\x5b]|[\x5d-\x7e]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(\\([\x01-\x09\x0b\x0c\x0d-\x7f]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF]))))*(((\x20|\x09)*(\x0d\x0a))?(\x20|\x09)+)?(\x22)))@((([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])))\.)+(([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF]))){2,6}$/i;
+
+            // email inputs with multiple attribute hold a comma separated addresses list
+            if ( self.$element.prop( 'multiple' ) ) {
+              matches = val.split( ',' );
+
+              for ( var i = 0; i < matches.length; i++ ) {
+                if ( !regExp.test( $.trim( matches[ i ] ) ) ) {
+                  return false;
+                }
+              }
+
+              return true;
+            }
             break;
           case 'url':
             val = new RegExp( '(https?|s?ftp|git)', 'i' ).test( val ) ? val : 'http://' + val;
@@ -113,7 +727,11 @@
             break;
           case 'dateIso':
             regExp = /^(\d{4})\D?(0[1-9]|1[0-2])\D?([12]\d|0[1-9]|3[01])$/;
-            break;
+
+            matches = regExp.exec( val );
+
+            // do not accept days absent of calendar, eg: Feb 31
+            return null !== matches && isCalendarDate( Number( matches[ 1 ] ), Number( matches[ 2 ] ), Number( matches[ 3 ] ) );
           case 'phone':
             regExp = /^((\+\d{1,3}(-| )?\(?\d\)?(-| )?\d{1,5})|(\(?\d{2,6}\)?))(-| )?(\d{3,4})(-| )?(\d{4})(( x| ext)\d{1,5}){0,1}$/;
             break;
@@ -141,780 +759,2434 @@
         return this.minlength( val, arrayRange[ 0 ] ) && this.maxlength( val, arrayRange[ 1 ] );
       }
 
-      , min: function ( val, min ) {
-        return Number( val ) >= min;
+      , min: function ( val, min, self ) {
+        return self.parseNumber( val ) >= min;
       }
 
-      , max: function ( val, max ) {
-        return Number( val ) <= max;
+      , max: function ( val, max, self ) {
+        return self.parseNumber( val ) <= max;
       }
 
-      , range: function ( val, arrayRange ) {
-        return val >= arrayRange[ 0 ] && val <= arrayRange[ 1 ];
+      , range: function ( val, arrayRange, self ) {
+        var number = self.parseNumber( val );
+
+        return number >= arrayRange[ 0 ] && number <= arrayRange[ 1 ];
       }
 
-      , equalto: function ( val, elem, self ) {
-        self.options.validateIfUnchanged = true;
+      // value should be a multiple of step, counted from min if any, like html5 step attribute
+      , step: function ( val, step, self ) {
+        var quotient = ( self.parseNumber( val ) - ( 'undefined' !== typeof self.options.min ? self.parseNumber( self.options.min ) : 0 ) ) / Number( step );
 
-        return val === $( elem ).val();
+        // tolerate floating point errors, eg: 0.3 / 0.1
+        return !isNaN( quotient ) && Math.abs( quotient - Math.round( quotient ) ) < 1e-8;
       }
 
-      , remote: function ( val, url, self ) {
-        var result = null
-          , data = {}
-          , dataType = {};
+      , date: function ( val, format, self ) {
+        return null !== self.parseDate( val );
+      }
 
-        data[ self.$element.attr( 'name' ) ] = val;
+      , mindate: function ( val, min, self ) {
+        var date = self.parseDate( val );
 
-        if ( 'undefined' !== typeof self.options.remoteDatatype ) {
-          dataType = { dataType: self.options.remoteDatatype };
-        }
+        min = self.parseDateRequirement( min );
 
-        var manage = function ( isConstraintValid, message ) {
-          // remove error message if we got a server message, different from previous message
-          if ( 'undefined' !== typeof message && 'undefined' !== typeof self.Validator.messages.remote && message !== self.Validator.messages.remote ) {
-            $( self.ulError + ' .remote' ).remove();
-          }
+        return null !== date && null !== min && date >= min;
+      }
 
-          self.updtConstraint( { name: 'remote', valid: isConstraintValid }, message );
-          self.manageValidationResult();
-        };
+      , maxdate: function ( val, max, self ) {
+        var date = self.parseDate( val );
 
-        // transform string response into object
-        var handleResponse = function ( response ) {
-          if ( 'object' === typeof response ) {
-            return response;
-          }
+        max = self.parseDateRequirement( max );
 
-          try {
-            response = $.parseJSON( response );
-          } catch ( err ) {}
+        return null !== date && null !== max && date <= max;
+      }
 
-          return response;
-        }
+      // data-daterange='["today", "+1y"]', or data-daterange="[today, +1y]"
+      , daterange: function ( val, arrayRange, self ) {
+        arrayRange = self.parseDateRange( arrayRange );
 
-        var manageErrorMessage = function ( response ) {
-          return 'object' === typeof response && null !== response ? ( 'undefined' !== typeof response.error ? response.error : ( 'undefined' !== typeof response.message ? response.message : null ) ) : null;
-        }
+        return this.mindate( val, arrayRange[ 0 ], self ) && this.maxdate( val, arrayRange[ 1 ], self );
+      }
 
-        $.ajax( $.extend( {}, {
-            url: url
-          , data: data
-          , type: self.options.remoteMethod || 'GET'
-          , success: function ( response ) {
-            response = handleResponse( response );
-            manage( 1 === response || true === response || ( 'object' === typeof response && null !== response && 'undefined' !== typeof response.success ), manageErrorMessage( response )
-            );
+      // data-accept="image/*, .pdf": file extensions, mime types or mime types families, like html5 accept attribute
+      , accept: function ( val, accept ) {
+        var files = getFiles( val )
+          , tokens = $.map( ( '' + accept ).split( ',' ), function ( token ) { return $.trim( token ).toLowerCase(); } )
+          , accepted = function ( file ) {
+              var name = ( '' + file.name ).toLowerCase()
+                , type = ( '' + file.type ).toLowerCase();
+
+              for ( var i = 0; i < tokens.length; i++ ) {
+                if ( ( '.' === tokens[ i ].charAt( 0 ) && tokens[ i ] === name.substr( name.length - tokens[ i ].length ) )
+                  || ( '/*' === tokens[ i ].substr( -2 ) && 0 === type.indexOf( tokens[ i ].substr( 0, tokens[ i ].length - 1 ) ) )
+                  || tokens[ i ] === type ) {
+                  return true;
+                }
+              }
+
+              return false;
+            };
+
+        for ( var i = 0; i < files.length; i++ ) {
+          if ( !accepted( files[ i ] ) ) {
+            return false;
           }
-          , error: function ( response ) {
-            response = handleResponse( response );
-            manage( false, manageErrorMessage( response ) );
+        }
+
+        return true;
+      }
+
+      // file inputs. Max size in kilobytes, not checked if browser does not support File API
+      , maxfilesize: function ( val, max ) {
+        var files = getFiles( val );
+
+        for ( var i = 0; i < files.length; i++ ) {
+          if ( files[ i ].size > max * 1024 ) {
+            return false;
           }
-        }, dataType ) );
+        }
 
-        return result;
+        return true;
       }
 
-      /**
-      * Aliases for checkboxes constraints
-      */
-      , mincheck: function ( obj, val ) {
-        return this.minlength( obj, val );
+      , minfiles: function ( val, min ) {
+        return getFiles( val ).length >= min;
       }
 
-      , maxcheck: function ( obj, val ) {
-        return this.maxlength( obj, val);
+      , maxfiles: function ( val, max ) {
+        return getFiles( val ).length <= max;
       }
 
-      , rangecheck: function ( obj, arrayRange ) {
-        return this.rangelength( obj, arrayRange );
+      // images dimensions are read asynchronously: data-imagemin="[width, height]"
+      , imagemin: function ( val, arrayRange ) {
+        return checkImages( val, function ( width, height ) {
+          return width >= arrayRange[ 0 ] && height >= arrayRange[ 1 ];
+        } );
       }
-    }
 
-    /*
-    * Register custom validators and messages
-    */
-    , init: function ( options ) {
-      var customValidators = options.validators
-        , customMessages = options.messages;
+      , imagemax: function ( val, arrayRange ) {
+        return checkImages( val, function ( width, height ) {
+          return width <= arrayRange[ 0 ] && height <= arrayRange[ 1 ];
+        } );
+      }
 
-      var key;
-      for ( key in customValidators ) {
-        this.addValidator(key, customValidators[ key ]);
+      // browser native validity flags: data-validity="true" for all of them, or data-validity="typeMismatch, badInput"
+      , validity: function ( val, flags, self ) {
+        var validity = self.$element.get( 0 ).validity;
+
+        if ( 'undefined' === typeof validity ) {
+          return true;
+        }
+
+        flags = 'string' === typeof flags && 'true' !== flags ? flags.split( ',' ) : validityFlags;
+
+        for ( var i = 0; i < flags.length; i++ ) {
+          if ( true === validity[ $.trim( flags[ i ] ) ] ) {
+            return false;
+          }
+        }
+
+        return true;
       }
 
-      for ( key in customMessages ) {
-        this.addMessage(key, customMessages[ key ]);
+      , equalto: function ( val, elem ) {
+        return val === $( elem ).val();
       }
-    }
 
-    /**
-    * Replace %s placeholders by values
-    *
-    * @method formatMesssage
-    * @param {String} message Message key
-    * @param {Mixed} args Args passed by validators functions. Could be string, number or object
-    * @return {String} Formatted string
-    */
-    , formatMesssage: function ( message, args ) {
+      , remote: function ( val, url, self ) {
+        return ajaxValidation( 'remote', val, {
+            url: url
+          , method: self.options.remoteMethod
+          , dataType: self.options.remoteDatatype
+          , fields: self.options.remoteFields
+          , data: self.options.remoteData
+          , json: self.options.remoteJson
+          , options: self.options.remoteOptions
+          , adapter: self.options.remoteAdapter
+          , debounce: self.options.remoteDebounce
+          , cacheTtl: self.options.remoteCacheTtl
+        }, self );
+      }
 
-      if ( 'object' === typeof args ) {
-        for ( var i in args ) {
-          message = this.formatMesssage( message, args[ i ] );
-        }
+      /**
+      * Aliases for checkboxes constraints
+      */
+      , mincheck: function ( obj, val ) {
+        return this.minlength( obj, val );
+      }
 
-        return message;
+      , maxcheck: function ( obj, val ) {
+        return this.maxlength( obj, val);
       }
 
-      return 'string' === typeof message ? message.replace( new RegExp( '%s', 'i' ), args ) : '';
+      , rangecheck: function ( obj, arrayRange ) {
+        return this.rangelength( obj, arrayRange );
+      }
     }
 
     /**
-    * Add / override a validator in validators list
+    * Validators requirements names, usable as named placeholders in messages, eg: {min} and {max} for range
     *
-    * @method addValidator
-    * @param {String} name Validator name. Will automatically bindable through data-name=''
-    * @param {Function} fn Validator function. Must return {Boolean}
+    * @property requirementsNames
+    * @type {Object}
     */
-    , addValidator: function ( name, fn ) {
-      this.validators[ name ] = fn;
+    , requirementsNames: {
+        min:            [ 'min' ]
+      , max:            [ 'max' ]
+      , range:          [ 'min', 'max' ]
+      , minlength:      [ 'min' ]
+      , maxlength:      [ 'max' ]
+      , rangelength:    [ 'min', 'max' ]
+      , mincheck:       [ 'min' ]
+      , maxcheck:       [ 'max' ]
+      , rangecheck:     [ 'min', 'max' ]
+      , date:           [ 'format' ]
+      , mindate:        [ 'min' ]
+      , maxdate:        [ 'max' ]
+      , daterange:      [ 'min', 'max' ]
+      , step:           [ 'step' ]
+      , accept:         [ 'accept' ]
+      , maxfilesize:    [ 'max' ]
+      , minfiles:       [ 'min' ]
+      , maxfiles:       [ 'max' ]
+      , imagemin:       [ 'width', 'height' ]
+      , imagemax:       [ 'width', 'height' ]
     }
 
     /**
-    * Add / override error message
+    * Validators priorities. Constraints are applied from highest to lowest priority
+    * Validators absent of this list have defaultPriority, async ones the lowest: they are the most expensive
     *
-    * @method addMessage
-    * @param {String} name Message name. Will automatically be binded to validator with same name
-    * @param {String} message Message
+    * @property priorities
+    * @type {Object}
     */
-    , addMessage: function ( key, message, type ) {
+    , priorities: {
+        required:       512
+      , notnull:        512
+      , notblank:       512
+      , type:           256
+      , date:           256
+      , regexp:         64
+      , remote:         -1
+    }
 
-      if ( 'undefined' !== typeof type && true === type ) {
-        this.messages.type[ key ] = message;
-        return;
+    , defaultPriority: 32
+
+    /*
+    * Register custom validators and messages, in own registries inheriting from global ones
+    */
+    , init: function ( options ) {
+      var customValidators = options.validators
+        , customAsyncValidators = options.asyncValidators
+        , customMessages = options.messages
+        , customRequirementsNames = options.requirementsNames || {}
+        , customPriorities = options.priorities || {};
+
+      if ( 'function' === typeof options.pluralRule ) {
+        this.customPluralRule = options.pluralRule;
       }
 
-      // custom types messages are a bit tricky cuz' nested ;)
-      if ( 'type' === key ) {
-        for ( var i in message ) {
-          this.messages.type[ i ] = message[ i ];
-        }
+      this.validators = inheritObject( this.validators );
+      this.requirementsNames = inheritObject( this.requirementsNames );
+      this.priorities = inheritObject( this.priorities );
 
-        return;
+      var key;
+      for ( key in customValidators ) {
+        this.addValidator(key, customValidators[ key ], customRequirementsNames[ key ]);
       }
 
-      this.messages[ key ] = message;
-    }
-  };
+      for ( key in customAsyncValidators ) {
+        this.addAsyncValidator( key, customAsyncValidators[ key ] );
+      }
 
-  /**
-  * ParsleyField class manage each form field inside a validated Parsley form.
-  * Returns if field valid or not depending on its value and constraints
-  * Manage field error display and behavior, event triggers and more
-  *
-  * @class ParsleyField
-  * @constructor
-  */
-  var ParsleyField = function ( element, options, type ) {
-    this.options = options;
-    this.Validator = new Validator( options );
+      for ( key in customMessages ) {
+        this.addMessage(key, customMessages[ key ]);
+      }
 
-    // if type is ParsleyFieldMultiple, just return this. used for clone
-    if ( type === 'ParsleyFieldMultiple' ) {
-      return this;
+      for ( key in customPriorities ) {
+        this.priorities[ key.toLowerCase() ] = customPriorities[ key ];
+      }
     }
 
-    this.init( element, type || 'ParsleyField' );
-  };
-
-  ParsleyField.prototype = {
+    /**
+    * Inherit validators, requirements names and priorities from another registry, eg: field one from its form one
+    * Own validators keep overriding parent ones
+    *
+    * @method setParent
+    * @param {Object} parent Validator
+    */
+    , setParent: function ( parent ) {
+      this.validators = inheritObject( parent.validators, this.validators );
+      this.requirementsNames = inheritObject( parent.requirementsNames, this.requirementsNames );
+      this.priorities = inheritObject( parent.priorities, this.priorities );
+    }
 
-    constructor: ParsleyField
+    /**
+    * Returns a validator priority
+    *
+    * @method getPriority
+    * @param {String} name Validator name
+    * @return {Number} priority
+    */
+    , getPriority: function ( name ) {
+      return 'number' === typeof this.priorities[ name ] ? this.priorities[ name ] : this.defaultPriority;
+    }
 
     /**
-    * Set some properties, bind constraint validators and validation events
+    * Replace placeholders by values:
+    *  - named placeholders, eg: {min}, {max}, {field} or {value}
+    *  - ICU-like plural selectors, eg: {min, plural, =0 {no character} one {# character} other {# characters}}
+    *  - positional placeholders, eg: %2$s
+    *  - %s placeholders, replaced one at a time
     *
-    * @method init
-    * @param {Object} element
-    * @param {Object} options
+    * @method formatMesssage
+    * @param {String} message Message key
+    * @param {Mixed} args Args passed by validators functions. Could be string, number or object
+    * @param {Object} params Named placeholders values
+    * @param {String} locale Locale whose plural rule is used
+    * @return {String} Formatted string
     */
-    , init: function ( element, type ) {
-      this.type = type;
-      this.valid = true;
-      this.element = element;
-      this.validatedOnce = false;
-      this.$element = $( element );
-      this.val = this.$element.val();
-      this.isRequired = false;
-      this.constraints = {};
+    , formatMesssage: function ( message, args, params, locale ) {
+      var values = [];
 
-      // overriden by ParsleyItemMultiple if radio or checkbox input
-      if ( 'undefined' === typeof this.isRadioOrCheckbox ) {
-        this.isRadioOrCheckbox = false;
-        this.hash = this.generateHash();
-        this.errorClassHandler = this.options.errors.classHandler( element, this.isRadioOrCheckbox ) || this.$element;
+      if ( 'string' !== typeof message ) {
+        return '';
       }
 
-      // error ul dom management done only once at init
-      this.ulErrorManagement();
+      var flatten = function ( args ) {
+        if ( 'object' === typeof args && null !== args ) {
+          for ( var i in args ) {
+            flatten( args[ i ] );
+          }
+
+          return;
+        }
 
-      // bind some html5 properties
-      this.bindHtml5Constraints();
+        values.push( args );
+      };
 
-      // bind validators to field
-      this.addConstraints();
+      flatten( args );
+      message = this.formatPlaceholders( message, params || {}, this.getPluralRule( locale ) );
 
-      // bind parsley events if validators have been registered
-      if ( this.hasConstraints() ) {
-        this.bindValidationEvents();
-      }
-    }
+      message = message.replace( /%(\d+)\$s/g, function ( placeholder, position ) {
+        return position > 0 && position <= values.length ? values[ position - 1 ] : placeholder;
+      } );
 
-    , setParent: function ( elem ) {
-      this.$parent = $( elem );
-    }
+      for ( var i = 0; i < values.length; i++ ) {
+        message = message.replace( new RegExp( '%s', 'i' ), values[ i ] );
+      }
 
-    , getParent: function () {
-      return this.$parent;
+      return message;
     }
 
     /**
-    * Bind some extra html5 types / validators
+    * Replace {name} placeholders and {name, plural, ...} selectors by their params values.
+    * Unknown placeholders are left untouched
     *
-    * @private
-    * @method bindHtml5Constraints
+    * @method formatPlaceholders
+    * @param {String} message
+    * @param {Object} params
+    * @param {Function} pluralRule
+    * @return {String} Formatted string
     */
-    , bindHtml5Constraints: function () {
-      // add html5 required support + class required support
-      if ( this.$element.hasClass( 'required' ) || this.$element.prop( 'required' ) ) {
-        this.options.required = true;
-      }
-
-      // add html5 supported types & options
-      if ( 'undefined' !== typeof this.$element.attr( 'type' ) && new RegExp( this.$element.attr( 'type' ), 'i' ).test( 'email url number range' ) ) {
-        this.options.type = this.$element.attr( 'type' );
+    , formatPlaceholders: function ( message, params, pluralRule ) {
+      var formatted = ''
+        , depth = 0
+        , start = 0
+        , placeholder, plural, choices, choice, count;
+
+      for ( var i = 0; i < message.length; i++ ) {
+        if ( '{' === message.charAt( i ) ) {
+          if ( 0 === depth++ ) {
+            start = i;
+          }
+        } else if ( '}' === message.charAt( i ) && depth > 0 ) {
+          if ( 0 === --depth ) {
+            placeholder = message.substring( start + 1, i );
+            plural = placeholder.match( /^\s*(\w+)\s*,\s*plural\s*,([\s\S]*)$/ );
+
+            if ( null === plural ) {
+              placeholder = $.trim( placeholder );
+              formatted += 'undefined' !== typeof params[ placeholder ] ? params[ placeholder ] : message.substring( start, i + 1 );
+              continue;
+            }
 
-        // number and range types could have min and/or max values
-        if ( new RegExp( this.options.type, 'i' ).test( 'number range' ) ) {
-          this.options.type = 'number';
+            if ( 'undefined' === typeof params[ plural[ 1 ] ] ) {
+              formatted += message.substring( start, i + 1 );
+              continue;
+            }
 
-          // double condition to support jQuery and Zepto.. :(
-          if ( 'undefined' !== typeof this.$element.attr( 'min' ) && this.$element.attr( 'min' ).length ) {
-            this.options.min = this.$element.attr( 'min' );
-          }
+            count = Number( params[ plural[ 1 ] ] );
+            choices = this.parsePluralChoices( plural[ 2 ] );
+            choice = choices[ '=' + count ];
+            choice = 'undefined' !== typeof choice ? choice : choices[ pluralRule( count ) ];
+            choice = 'undefined' !== typeof choice ? choice : choices.other;
 
-          if ( 'undefined' !== typeof this.$element.attr( 'max' ) && this.$element.attr( 'max' ).length ) {
-            this.options.max = this.$element.attr( 'max' );
+            formatted += 'undefined' !== typeof choice ?
+              this.formatPlaceholders( choice.replace( /#/g, params[ plural[ 1 ] ] ), params, pluralRule ) : message.substring( start, i + 1 );
           }
+        } else if ( 0 === depth ) {
+          formatted += message.charAt( i );
         }
       }
 
-      if ( 'string' === typeof this.$element.attr( 'pattern' ) && this.$element.attr( 'pattern' ).length ) {
-          this.options.regexp = this.$element.attr( 'pattern' );
-      }
-
+      // unbalanced braces are kept as is
+      return depth > 0 ? formatted + message.substring( start ) : formatted;
     }
 
     /**
-    * Attach field validators functions passed through data-api
+    * Parse plural selector choices, eg: "=0 {none} one {# item} other {# items}"
     *
-    * @private
-    * @method addConstraints
+    * @method parsePluralChoices
+    * @param {String} choices
+    * @return {Object} choices messages by selector, eg: { '=0': 'none', one: '# item', other: '# items' }
     */
-    , addConstraints: function () {
-      for ( var constraint in this.options ) {
-        var addConstraint = {};
-        addConstraint[ constraint ] = this.options[ constraint ];
-        this.addConstraint( addConstraint, true );
-      }
-    }
+    , parsePluralChoices: function ( choices ) {
+      var parsed = {}
+        , i = 0
+        , depth, start, selector;
 
-    /**
-    * Dynamically add a new constraint to a field
-    *
-    * @method addConstraint
-    * @param {Object} constraint { name: requirements }
-    */
-    , addConstraint: function ( constraint, doNotUpdateValidationEvents ) {
-        for ( var name in constraint ) {
-          name = name.toLowerCase();
+      while ( i < choices.length ) {
+        selector = choices.substring( i ).match( /^\s*(=?\w+)\s*\{/ );
 
-          if ( 'function' === typeof this.Validator.validators[ name ] ) {
-            this.constraints[ name ] = {
-                name: name
-              , requirements: constraint[ name ]
-              , valid: null
-            }
+        if ( null === selector ) {
+          break;
+        }
 
-            if ( name === 'required' ) {
-              this.isRequired = true;
-            }
+        i += selector[ 0 ].length;
+        start = i;
+        depth = 1;
 
-            this.addCustomConstraintMessage( name );
+        while ( i < choices.length && depth > 0 ) {
+          if ( '{' === choices.charAt( i ) ) {
+            depth++;
+          } else if ( '}' === choices.charAt( i ) ) {
+            depth--;
           }
-        }
 
-        // force field validation next check and reset validation events
-        if ( 'undefined' === typeof doNotUpdateValidationEvents ) {
-          this.bindValidationEvents();
+          i++;
         }
+
+        parsed[ selector[ 1 ] ] = choices.substring( start, depth > 0 ? i : i - 1 );
+      }
+
+      return parsed;
     }
 
     /**
-    * Dynamically update an existing constraint to a field.
-    * Simple API: { name: requirements }
+    * Returns plural category of a number, used in plural selectors. English rule by default,
+    * override it with pluralRule option or locale catalog pluralRule for other languages
     *
-    * @method updtConstraint
-    * @param {Object} constraint
+    * @method pluralRule
+    * @param {Number} count
+    * @return {String} one, other..
     */
-    , updateConstraint: function ( constraint, message ) {
-      for ( var name in constraint ) {
-        this.updtConstraint( { name: name, requirements: constraint[ name ], valid: null }, message );
-      }
+    , pluralRule: function ( count ) {
+      return 1 === count ? 'one' : 'other';
     }
 
     /**
-    * Dynamically update an existing constraint to a field.
-    * Complex API: { name: name, requirements: requirements, valid: boolean }
+    * Returns plural rule used for a locale: pluralRule option, or locale catalog one, or english one
     *
-    * @method updtConstraint
-    * @param {Object} constraint
+    * @method getPluralRule
+    * @param {String} locale
+    * @return {Function}
     */
-    , updtConstraint: function ( constraint, message ) {
-      this.constraints[ constraint.name ] = $.extend( true, this.constraints[ constraint.name ], constraint );
-
-      if ( 'string' === typeof message ) {
-        this.Validator.messages[ constraint.name ] = message ;
+    , getPluralRule: function ( locale ) {
+      if ( this.customPluralRule ) {
+        return this.customPluralRule;
       }
 
-      // force field validation next check and reset validation events
-      this.bindValidationEvents();
+      return Parsley.catalogs[ locale ] && 'function' === typeof Parsley.catalogs[ locale ].pluralRule ?
+        Parsley.catalogs[ locale ].pluralRule : this.pluralRule;
     }
 
     /**
-    * Dynamically remove an existing constraint to a field.
+    * Returns a message for a locale. Custom messages first, then locale catalog, then english catalog
+    * (eg: parsley.extend messages), then built-in messages
     *
-    * @method removeConstraint
-    * @param {String} constraintName
+    * @method getMessage
+    * @param {String} key Message name, or type name if isType
+    * @param {String} locale
+    * @param {Boolean} isType true for type validator messages
+    * @return {String} message, undefined if none
     */
-    , removeConstraint: function ( constraintName ) {
-      var constraintName = constraintName.toLowerCase();
+    , getMessage: function ( key, locale, isType ) {
+      var locales = [ locale, 'en' ]
+        , messages = isType ? this.customMessages.type : this.customMessages;
 
-      delete this.constraints[ constraintName ];
-
-      if ( constraintName === 'required' ) {
-        this.isRequired = false;
+      if ( 'undefined' !== typeof messages[ key ] ) {
+        return messages[ key ];
       }
 
-      // if there are no more constraint, destroy parsley instance for this field
-      if ( !this.hasConstraints() ) {
-        // in a form context, remove item from parent
-        if ( 'ParsleyForm' === typeof this.getParent() ) {
-          this.getParent().removeItem( this.$element );
-          return;
+      for ( var i = 0; i < locales.length; i++ ) {
+        if ( !locales[ i ] || !Parsley.catalogs[ locales[ i ] ] ) {
+          continue;
         }
 
-        this.destroy();
-        return;
+        messages = Parsley.catalogs[ locales[ i ] ].messages || {};
+        messages = isType ? messages.type || {} : messages;
+
+        if ( 'undefined' !== typeof messages[ key ] ) {
+          return messages[ key ];
+        }
       }
 
-      this.bindValidationEvents();
+      return isType ? this.messages.type[ key ] : this.messages[ key ];
     }
 
     /**
-    * Add custom constraint message, passed through data-API
+    * Add / override a validator in validators list
     *
-    * @private
-    * @method addCustomConstraintMessage
-    * @param constraint
+    * @method addValidator
+    * @param {String} name Validator name. Will automatically bindable through data-name=''
+    * @param {Function} fn Validator function. Must return {Boolean}, or a jQuery promise for async validators
+    * @param {Array} requirementsNames Optional requirements names usable as messages placeholders, eg: [ 'min', 'max' ]
+    * @param {Number} priority Optional validator priority, see priorities
     */
-    , addCustomConstraintMessage: function ( constraint ) {
-      // custom message type data-type-email-message -> typeEmailMessage | data-minlength-error => minlengthMessage
-      var customMessage = constraint
-        + ( 'type' === constraint && 'undefined' !== typeof this.options[ constraint ] ? this.options[ constraint ].charAt( 0 ).toUpperCase() + this.options[ constraint ].substr( 1 ) : '' )
-        + 'Message';
+    , addValidator: function ( name, fn, requirementsNames, priority ) {
+      this.validators[ name ] = fn;
 
-      if ( 'undefined' !== typeof this.options[ customMessage ] ) {
-        this.Validator.addMessage( 'type' === constraint ? this.options[ constraint ] : constraint, this.options[ customMessage ], 'type' === constraint );
+      if ( 'undefined' !== typeof requirementsNames ) {
+        this.requirementsNames[ name ] = requirementsNames;
+      }
+
+      if ( 'undefined' !== typeof priority ) {
+        this.priorities[ name ] = priority;
       }
     }
 
     /**
-    * Bind validation events on a field
+    * Add / override a named async validator querying a server, working like remote validator
+    * Several async validators could be used on a same field
     *
-    * @private
+    * @method addAsyncValidator
+    * @param {String} name Validator name. Bindable through data-name='true', eg data-username-available='true' for usernameAvailable
+    * @param {Object} settings { url, method, dataType, fields, data, json, options, adapter, message, priority }, see remote validator options
+    */
+    , addAsyncValidator: function ( name, settings ) {
+      name = name.toLowerCase();
+
+      this.addValidator( name, function ( val, requirements, self ) {
+        return ajaxValidation( name, val, $.extend( { debounce: self.options.remoteDebounce, cacheTtl: self.options.remoteCacheTtl }, settings ), self );
+      }, undefined, 'undefined' !== typeof settings.priority ? settings.priority : this.priorities.remote );
+
+      if ( 'undefined' !== typeof settings.message ) {
+        this.addMessage( name, settings.message );
+      }
+    }
+
+    /**
+    * Add / override error message
+    *
+    * @method addMessage
+    * @param {String} name Message name. Will automatically be binded to validator with same name
+    * @param {String} message Message
+    */
+    , addMessage: function ( key, message, type ) {
+
+      if ( 'undefined' !== typeof type && true === type ) {
+        this.messages.type[ key ] = this.customMessages.type[ key ] = message;
+        return;
+      }
+
+      // custom types messages are a bit tricky cuz' nested ;)
+      if ( 'type' === key ) {
+        for ( var i in message ) {
+          this.messages.type[ i ] = this.customMessages.type[ i ] = message[ i ];
+        }
+
+        return;
+      }
+
+      this.messages[ key ] = this.customMessages[ key ] = message;
+    }
+  };
+
+  /**
+  * ParsleyRenderer class displays a field errors and validation state. Default one appends an errors <ul> after
+  * the field and sets success, error and pending classes on errors.classHandler elem.
+  * Custom renderers given with renderer option implement same methods, eg by extending $.fn.parsley.Renderer
+  *
+  * @class ParsleyRenderer
+  * @constructor
+  * @param {Object} field ParsleyField
+  */
+  var ParsleyRenderer = function ( field ) {
+    this.field = field;
+    this.init();
+  };
+
+  ParsleyRenderer.prototype = {
+    constructor: ParsleyRenderer
+
+    /**
+    * Build errors ul template, only inserted in DOM when first error is shown
+    *
+    * @method init
+    */
+    , init: function () {
+      this.ulError = '#' + this.field.hash;
+      this.ulTemplate = $( this.field.options.errors.errorsWrapper ).attr( 'id', this.field.hash ).addClass( 'parsley-error-list' );
+
+      // errors are announced by screen readers as soon as they are displayed
+      if ( this.field.options.aria ) {
+        this.ulTemplate.attr( { role: 'alert', 'aria-live': 'assertive' } );
+      }
+    }
+
+    /**
+    * Show an error message. Same name could be shown more than once, eg server errors
+    *
+    * @method showError
+    * @param {String} name Constraint name, or custom-error-message, parsley-server-error
+    * @param {String} message
+    */
+    , showError: function ( name, message ) {
+      var liError = $( this.field.options.errors.errorElem ).addClass( name ).html( message );
+
+      // display ulError container if it has been removed previously (or never shown)
+      if ( !$( this.ulError ).length ) {
+        this.manageErrorContainer();
+      }
+
+      $( this.ulError ).append( this.field.options.animate ? liError.hide().fadeIn( this.field.options.animateDuration ) : liError );
+    }
+
+    /**
+    * Update an error message already shown, eg on locale change
+    *
+    * @method updateError
+    * @param {String} name
+    * @param {String} message
+    */
+    , updateError: function ( name, message ) {
+      $( this.ulError + ' .' + name ).html( message );
+    }
+
+    /**
+    * Is given error shown, or any error if no name given
+    *
+    * @method hasError
+    * @param {String} name
+    * @return {Boolean}
+    */
+    , hasError: function ( name ) {
+      return 'undefined' === typeof name ? 0 !== $( this.ulError ).children().length : 0 !== $( this.ulError + ' .' + name ).length;
+    }
+
+    /**
+    * Remove li error, and ul if no more error inside once animated
+    *
+    * @method removeError
+    * @param {String} name
+    * @param {Boolean} noAnimation Remove it right now, eg before showing it again
+    */
+    , removeError: function ( name, noAnimation ) {
+      var liError = this.ulError + ' .' + name
+        , that = this;
+
+      this.field.options.animate && !noAnimation ? $( liError ).fadeOut( this.field.options.animateDuration, function () {
+        $( this ).remove();
+
+        if ( !that.hasError() ) {
+          that.removeErrors();
+        } } ) : $( liError ).remove();
+    }
+
+    /**
+    * Remove all ul / li errors
+    *
+    * @method removeErrors
+    * @param {Boolean} noAnimation
+    */
+    , removeErrors: function ( noAnimation ) {
+      this.field.manageAriaDescribedBy( false );
+      this.field.options.animate && !noAnimation ? $( this.ulError ).fadeOut( this.field.options.animateDuration, function () { $( this ).remove(); } ) : $( this.ulError ).remove();
+    }
+
+    /**
+    * Mark field as valid, invalid, or neither
+    *
+    * @method setState
+    * @param {Mixed} valid {Boolean} or null
+    */
+    , setState: function ( valid ) {
+      this.field.errorClassHandler.removeClass( this.field.options.successClass ).removeClass( this.field.options.errorClass );
+
+      if ( null !== valid ) {
+        this.field.errorClassHandler.addClass( valid ? this.field.options.successClass : this.field.options.errorClass );
+      }
+    }
+
+    /**
+    * Mark field as waiting, or not, for an async validator answer
+    *
+    * @method setPending
+    * @param {Boolean} isPending
+    */
+    , setPending: function ( isPending ) {
+      isPending ? this.field.errorClassHandler.addClass( this.field.options.pendingClass ) : this.field.errorClassHandler.removeClass( this.field.options.pendingClass );
+    }
+
+    /**
+    * Remove errors and all state classes
+    *
+    * @method reset
+    */
+    , reset: function () {
+      this.removeErrors();
+      this.setState( null );
+      this.setPending( false );
+    }
+
+    /**
+    * Create ul error container
+    *
+    * @private
+    * @method manageErrorContainer
+    */
+    , manageErrorContainer: function () {
+      var errorContainer = this.field.options.errorContainer || this.field.options.errors.container( this.field.element, this.field.isRadioOrCheckbox )
+        , ulTemplate = this.field.options.animate ? this.ulTemplate.show() : this.ulTemplate;
+
+      // template keeps its li once removed from DOM, do not show them again
+      ulTemplate.empty();
+
+      this.field.manageAriaDescribedBy( true );
+
+      if ( 'undefined' !== typeof errorContainer ) {
+        $( errorContainer ).append( ulTemplate );
+        return;
+      }
+
+      !this.field.isRadioOrCheckbox ? this.field.$element.after( ulTemplate ) : this.field.$element.parent().after( ulTemplate );
+    }
+  };
+
+  /**
+  * ParsleyTooltipRenderer shows field first error message in a tooltip absolutely positioned under
+  * errors.classHandler elem, instead of an errors list. Used with errorDisplay: 'tooltip'
+  *
+  * @class ParsleyTooltipRenderer
+  * @constructor
+  * @param {Object} field ParsleyField
+  */
+  var ParsleyTooltipRenderer = function ( field ) {
+    this.field = field;
+    this.init();
+  };
+
+  ParsleyTooltipRenderer.prototype = $.extend( {}, ParsleyRenderer.prototype, {
+    constructor: ParsleyTooltipRenderer
+
+    /**
+    * Build tooltip, only inserted in DOM while there are errors
+    *
+    * @method init
+    */
+    , init: function () {
+      this.errors = [];
+      this.isShown = false;
+      // own handler for each tooltip: proxies of a shared function share their guid, and would be unbound together
+      this.reposition = $.proxy( function () { this.position(); }, this );
+      this.$tooltip = $( this.field.options.errors.tooltipWrapper ).attr( 'id', this.field.hash ).addClass( 'parsley-error-tooltip' ).css( 'position', 'absolute' );
+
+      if ( this.field.options.aria ) {
+        this.$tooltip.attr( { role: 'alert', 'aria-live': 'assertive' } );
+      }
+    }
+
+    /**
+    * @method showError
+    * @param {String} name
+    * @param {String} message
+    */
+    , showError: function ( name, message ) {
+      this.errors.push( { name: name, message: message } );
+      this.render();
+    }
+
+    /**
+    * @method updateError
+    * @param {String} name
+    * @param {String} message
+    */
+    , updateError: function ( name, message ) {
+      for ( var i = 0; i < this.errors.length; i++ ) {
+        if ( name === this.errors[ i ].name ) {
+          this.errors[ i ].message = message;
+        }
+      }
+
+      this.render();
+    }
+
+    /**
+    * @method hasError
+    * @param {String} name
+    * @return {Boolean}
+    */
+    , hasError: function ( name ) {
+      for ( var i = 0; i < this.errors.length; i++ ) {
+        if ( 'undefined' === typeof name || name === this.errors[ i ].name ) {
+          return true;
+        }
+      }
+
+      return false;
+    }
+
+    /**
+    * Tooltip is not animated, it is removed with its last error
+    *
+    * @method removeError
+    * @param {String} name
+    */
+    , removeError: function ( name ) {
+      this.errors = $.grep( this.errors, function ( error ) {
+        return name !== error.name;
+      } );
+
+      this.render();
+    }
+
+    /**
+    * @method removeErrors
+    */
+    , removeErrors: function () {
+      this.errors = [];
+      this.render();
+    }
+
+    /**
+    * Show first error message, or remove tooltip if there is none
+    *
+    * @private
+    * @method render
+    */
+    , render: function () {
+      if ( !this.errors.length ) {
+        this.hide();
+        return;
+      }
+
+      this.$tooltip.html( this.errors[ 0 ].message );
+
+      if ( !this.isShown ) {
+        this.show();
+      }
+
+      this.position();
+    }
+
+    /**
+    * Insert tooltip in DOM, and follow its anchor on scroll / resize
+    *
+    * @private
+    * @method show
+    */
+    , show: function () {
+      this.isShown = true;
+      this.$tooltip.appendTo( 'body' );
+      this.field.manageAriaDescribedBy( true );
+      $( window ).on( 'resize', this.reposition );
+
+      // scroll events of scrollable containers do not bubble, capture them
+      if ( window.addEventListener ) {
+        window.addEventListener( 'scroll', this.reposition, true );
+      }
+    }
+
+    /**
+    * @private
+    * @method hide
+    */
+    , hide: function () {
+      if ( !this.isShown ) {
+        return;
+      }
+
+      this.isShown = false;
+      this.$tooltip.remove();
+      this.field.manageAriaDescribedBy( false );
+      $( window ).off( 'resize', this.reposition );
+
+      if ( window.removeEventListener ) {
+        window.removeEventListener( 'scroll', this.reposition, true );
+      }
+    }
+
+    /**
+    * Place tooltip right under errors.classHandler elem
+    *
+    * @private
+    * @method position
+    */
+    , position: function () {
+      var $anchor = this.field.errorClassHandler.eq( 0 )
+        , offset = $anchor.offset();
+
+      this.$tooltip.css( { top: ( offset.top + $anchor.get( 0 ).offsetHeight ) + 'px', left: offset.left + 'px' } );
+    }
+  } );
+
+  /**
+  * ParsleyField class manage each form field inside a validated Parsley form.
+  * Returns if field valid or not depending on its value and constraints
+  * Manage field error display and behavior, event triggers and more
+  *
+  * @class ParsleyField
+  * @constructor
+  */
+  var ParsleyField = function ( element, options, type ) {
+    this.options = options;
+    this.Validator = new Validator( options );
+
+    // if type is ParsleyFieldMultiple, just return this. used for clone
+    if ( type === 'ParsleyFieldMultiple' ) {
+      return this;
+    }
+
+    this.init( element, type || 'ParsleyField' );
+  };
+
+  ParsleyField.prototype = {
+
+    constructor: ParsleyField
+
+    /**
+    * Set some properties, bind constraint validators and validation events
+    *
+    * @method init
+    * @param {Object} element
+    * @param {Object} options
+    */
+    , init: function ( element, type ) {
+      this.type = type;
+      this.valid = true;
+      this.element = element;
+      this.validatedOnce = false;
+      this.$element = $( element );
+      this.val = this.$element.val();
+      this.isRequired = false;
+      this.constraints = {};
+      this.messages = {};
+
+      // overriden by ParsleyItemMultiple if radio or checkbox input
+      if ( 'undefined' === typeof this.isRadioOrCheckbox ) {
+        this.isRadioOrCheckbox = false;
+        this.hash = this.generateHash();
+        this.errorClassHandler = this.options.errors.classHandler( element, this.isRadioOrCheckbox ) || this.$element;
+      }
+
+      // errors display is delegated to a renderer, see $.fn.parsley.Renderer and errorDisplay option
+      var Renderer = this.options.renderer || $.fn.parsley.renderers[ this.options.errorDisplay ] || ParsleyRenderer;
+      this.renderer = new Renderer( this );
+
+      // bind some html5 properties
+      this.bindHtml5Constraints();
+
+      // bind data-validate-if and data-required-if conditions
+      this.bindConditions();
+
+      // bind validators to field
+      this.addConstraints();
+
+      // bind parsley events if validators have been registered
+      if ( this.hasConstraints() ) {
+        this.bindValidationEvents();
+      }
+    }
+
+    , setParent: function ( parent ) {
+      this.$parent = $( parent );
+      this.parentForm = parent;
+
+      // field validators registry inherits from its form one, whose validators may match some data-api constraints
+      this.Validator.setParent( parent.Validator );
+      this.addDataConstraints();
+    }
+
+    , getParent: function () {
+      return this.$parent;
+    }
+
+    /**
+    * Returns field ParsleyForm instance, if field has been bound within a form
+    *
+    * @method getParentForm
+    * @return {Object} ParsleyForm
+    */
+    , getParentForm: function () {
+      return this.parentForm;
+    }
+
+    /**
+    * Bind some extra html5 types / validators
+    *
+    * @private
+    * @method bindHtml5Constraints
+    */
+    , bindHtml5Constraints: function () {
+      var dateFormats = { date: 'YYYY-MM-DD', time: 'HH:mm', 'datetime-local': 'YYYY-MM-DDTHH:mm', month: 'YYYY-MM', week: 'YYYY-[W]WW' }
+        , type = ( this.$element.attr( 'type' ) || '' ).toLowerCase()
+        , step = this.$element.attr( 'step' );
+
+      // add html5 required support + class required support
+      if ( this.$element.hasClass( 'required' ) || this.$element.prop( 'required' ) ) {
+        this.options.required = true;
+      }
+
+      // add html5 supported types & options
+      if ( 'undefined' !== typeof this.$element.attr( 'type' ) && new RegExp( this.$element.attr( 'type' ), 'i' ).test( 'email url number range' ) ) {
+        this.options.type = this.$element.attr( 'type' );
+
+        // number and range types could have min and/or max values
+        if ( new RegExp( this.options.type, 'i' ).test( 'number range' ) ) {
+          this.options.type = 'number';
+
+          // double condition to support jQuery and Zepto.. :(
+          if ( 'undefined' !== typeof this.$element.attr( 'min' ) && this.$element.attr( 'min' ).length ) {
+            this.options.min = this.$element.attr( 'min' );
+          }
+
+          if ( 'undefined' !== typeof this.$element.attr( 'max' ) && this.$element.attr( 'max' ).length ) {
+            this.options.max = this.$element.attr( 'max' );
+          }
+
+          if ( 'string' === typeof this.$element.attr( 'step' ) && this.$element.attr( 'step' ).length && 'any' !== this.$element.attr( 'step' ).toLowerCase() ) {
+            this.options.step = this.$element.attr( 'step' );
+          }
+        }
+      }
+
+      // phone type only knows US like numbers, do not reject international ones unless asked to
+      if ( 'tel' === type && this.options.telAsPhone ) {
+        this.options.type = 'phone';
+      }
+
+      // date and time types values, min and max are written in ISO format. Seconds are written if step, in seconds, is not minutes
+      if ( 'string' === typeof dateFormats[ type ] ) {
+        this.options.date = dateFormats[ type ]
+          + ( ( 'time' === type || 'datetime-local' === type ) && 'string' === typeof step && parseFloat( step ) % 60 > 0 ? ':ss' : '' );
+
+        if ( 'undefined' !== typeof this.$element.attr( 'min' ) && this.$element.attr( 'min' ).length ) {
+          this.options.mindate = this.$element.attr( 'min' );
+        }
+
+        if ( 'undefined' !== typeof this.$element.attr( 'max' ) && this.$element.attr( 'max' ).length ) {
+          this.options.maxdate = this.$element.attr( 'max' );
+        }
+      }
+
+      if ( 'string' === typeof this.$element.attr( 'pattern' ) && this.$element.attr( 'pattern' ).length ) {
+          this.options.regexp = this.$element.attr( 'pattern' );
+      }
+
+      // html5 minlength and maxlength attributes
+      if ( 'string' === typeof this.$element.attr( 'minlength' ) && this.$element.attr( 'minlength' ).length ) {
+        this.options.minlength = this.$element.attr( 'minlength' );
+      }
+
+      if ( 'string' === typeof this.$element.attr( 'maxlength' ) && this.$element.attr( 'maxlength' ).length ) {
+        this.options.maxlength = this.$element.attr( 'maxlength' );
+      }
+
+      if ( 'file' === type && 'string' === typeof this.$element.attr( 'accept' ) && this.$element.attr( 'accept' ).length ) {
+        this.options.accept = this.$element.attr( 'accept' );
+      }
+
+      // date validator defaults to dateFormat option format
+      if ( true === this.options.date ) {
+        this.options.date = this.options.dateFormat;
+      }
+
+    }
+
+    /**
+    * Bind conditional constraints passed through data-validate-if and data-required-if
+    * Condition syntax: "selector", "selector=value" or "selector!=value"
+    *
+    * @private
+    * @method bindConditions
+    */
+    , bindConditions: function () {
+      var conditions = [ 'validateIf', 'requiredIf' ];
+
+      this.conditions = {};
+
+      for ( var i = 0; i < conditions.length; i++ ) {
+        if ( 'string' === typeof this.options[ conditions[ i ] ] && this.options[ conditions[ i ] ].length ) {
+          this.conditions[ conditions[ i ] ] = this.parseCondition( this.options[ conditions[ i ] ] );
+        }
+      }
+
+      // required constraint is only enforced while its condition is met, see validate()
+      if ( 'undefined' !== typeof this.conditions.requiredIf ) {
+        this.options.required = true;
+      }
+    }
+
+    /**
+    * Parse a condition string. Value part is optional, and could not contain "]"
+    * so that attribute selectors like [name="foo"] are not mistaken for a value
+    *
+    * @private
+    * @method parseCondition
+    * @param {String} condition eg: "#country=other"
+    * @return {Object} { selector: selector, operator: null|'='|'!=', value: value }
+    */
+    , parseCondition: function ( condition ) {
+      var matches = condition.match( /^(.+?)(!?=)([^\]]*)$/ );
+
+      if ( null === matches ) {
+        return { selector: condition, operator: null, value: null };
+      }
+
+      return { selector: $.trim( matches[ 1 ] ), operator: matches[ 2 ], value: $.trim( matches[ 3 ] ) };
+    }
+
+    /**
+    * Check if a condition is met. Without value, referenced field must be filled or checked
+    *
+    * @method checkCondition
+    * @param {String} name validateIf or requiredIf
+    * @return {Boolean} true if condition is met or does not exist
+    */
+    , checkCondition: function ( name ) {
+      var condition = this.conditions[ name ]
+        , values = [];
+
+      if ( 'undefined' === typeof condition ) {
+        return true;
+      }
+
+      $( condition.selector ).each( function () {
+        // unchecked radio and checkboxes values do not count
+        if ( ( 'radio' === this.type || 'checkbox' === this.type ) && !this.checked ) {
+          return;
+        }
+
+        values = values.concat( $( this ).val() || [] );
+      } );
+
+      if ( null === condition.operator ) {
+        for ( var i = 0; i < values.length; i++ ) {
+          if ( '' !== values[ i ] ) {
+            return true;
+          }
+        }
+
+        return false;
+      }
+
+      return ( '=' === condition.operator ) === ( -1 !== $.inArray( condition.value, values ) );
+    }
+
+    /**
+    * Attach field validators functions passed through data-api
+    *
+    * @private
+    * @method addConstraints
+    */
+    , addConstraints: function () {
+      for ( var constraint in this.options ) {
+        var addConstraint = {};
+        addConstraint[ constraint ] = this.options[ constraint ];
+        this.addConstraint( addConstraint, true );
+      }
+    }
+
+    /**
+    * Attach data-api constraints whose validator was not known at init, eg added later to field form
+    *
+    * @private
+    * @method addDataConstraints
+    * @param {Array} names Optional validators names to look for. Default: all validators
+    */
+    , addDataConstraints: function ( names ) {
+      var addConstraint = {}
+        , count = 0;
+
+      for ( var constraint in this.options ) {
+        var name = constraint.toLowerCase();
+
+        if ( 'undefined' === typeof this.constraints[ name ] && 'function' === typeof this.Validator.validators[ name ]
+          && ( 'undefined' === typeof names || -1 !== $.inArray( name, names ) ) ) {
+          addConstraint[ name ] = this.options[ constraint ];
+          count++;
+        }
+      }
+
+      if ( count ) {
+        this.addConstraint( addConstraint );
+      }
+    }
+
+    /**
+    * Dynamically add a new constraint to a field
+    *
+    * @method addConstraint
+    * @param {Object} constraint { name: requirements }
+    */
+    , addConstraint: function ( constraint, doNotUpdateValidationEvents ) {
+        for ( var name in constraint ) {
+          name = name.toLowerCase();
+
+          if ( 'function' === typeof this.Validator.validators[ name ] ) {
+            this.constraints[ name ] = {
+                name: name
+              , requirements: constraint[ name ]
+              , valid: null
+            }
+
+            if ( name === 'required' ) {
+              this.isRequired = true;
+            }
+          }
+        }
+
+        // force field validation next check and reset validation events
+        if ( 'undefined' === typeof doNotUpdateValidationEvents ) {
+          this.bindValidationEvents();
+          this.updateParentDependencies();
+        }
+    }
+
+    /**
+    * Dynamically update an existing constraint to a field.
+    * Simple API: { name: requirements }
+    *
+    * @method updtConstraint
+    * @param {Object} constraint
+    */
+    , updateConstraint: function ( constraint, message ) {
+      for ( var name in constraint ) {
+        this.updtConstraint( { name: name, requirements: constraint[ name ], valid: null }, message );
+      }
+    }
+
+    /**
+    * Dynamically update an existing constraint to a field.
+    * Complex API: { name: name, requirements: requirements, valid: boolean }
+    *
+    * @method updtConstraint
+    * @param {Object} constraint
+    */
+    , updtConstraint: function ( constraint, message ) {
+      this.constraints[ constraint.name ] = $.extend( true, this.constraints[ constraint.name ], constraint );
+
+      if ( 'string' === typeof message ) {
+        this.messages[ constraint.name ] = message;
+      }
+
+      // force field validation next check and reset validation events
+      this.bindValidationEvents();
+    }
+
+    /**
+    * Dynamically remove an existing constraint to a field.
+    *
+    * @method removeConstraint
+    * @param {String} constraintName
+    */
+    , removeConstraint: function ( constraintName ) {
+      var constraintName = constraintName.toLowerCase();
+
+      delete this.constraints[ constraintName ];
+
+      if ( constraintName === 'required' ) {
+        this.isRequired = false;
+      }
+
+      // if there are no more constraint, destroy parsley instance for this field
+      if ( !this.hasConstraints() ) {
+        // in a form context, remove item from parent
+        if ( 'ParsleyForm' === typeof this.getParent() ) {
+          this.getParent().removeItem( this.$element );
+          return;
+        }
+
+        this.destroy();
+        return;
+      }
+
+      this.bindValidationEvents();
+      this.updateParentDependencies();
+    }
+
+    /**
+    * Set field constraints messages, overriding Validator and locales messages for this field only
+    * Simple API: { name: message }, or name and message
+    *
+    * @method setMessage
+    * @param {Mixed} constraint {Object} { minlength: "message" } or {String} constraint name
+    * @param {String} message
+    */
+    , setMessage: function ( constraint, message ) {
+      if ( 'string' === typeof constraint ) {
+        this.messages[ constraint.toLowerCase() ] = message;
+      } else {
+        for ( var name in constraint ) {
+          this.messages[ name.toLowerCase() ] = constraint[ name ];
+        }
+      }
+
+      this.updateErrorsMessages();
+    }
+
+    /**
+    * Returns field own message for a constraint: set with setMessage() or by server, else passed through data-API
+    * eg: data-minlength-message, or data-type-email-message for types
+    *
+    * @private
+    * @method getFieldMessage
+    * @param {Object} constraint
+    * @return {String} message, undefined if none
+    */
+    , getFieldMessage: function ( constraint ) {
+      var requirements = constraint.requirements
+        , key;
+
+      if ( 'undefined' !== typeof this.messages[ constraint.name ] ) {
+        return this.messages[ constraint.name ];
+      }
+
+      // constraints names are lowercased, while data-username-available-message is camelCased into usernameAvailableMessage
+      key = ( constraint.name + ( 'type' === constraint.name && 'string' === typeof requirements ? requirements : '' ) + 'Message' ).toLowerCase();
+
+      for ( var option in this.options ) {
+        if ( key === option.toLowerCase() ) {
+          return this.options[ option ];
+        }
+      }
+    }
+
+    /**
+    * Bind validation events on a field
+    *
+    * @private
     * @method bindValidationEvents
     */
-    , bindValidationEvents: function () {
-      // this field has validation events, that means it has to be validated
-      this.valid = null;
-      this.$element.addClass( 'parsley-validated' );
+    , bindValidationEvents: function () {
+      // this field has validation events, that means it has to be validated
+      this.valid = null;
+      this.$element.addClass( 'parsley-validated' );
+
+      // remove eventually already binded events
+      this.$element.off( '.' + this.type );
+
+      // force add 'change' event if async remote validator here to have result before form submitting
+      if ( this.options.remote && !new RegExp( 'change', 'i' ).test( this.options.trigger ) ) {
+        this.options.trigger = !this.options.trigger ? 'change' : ' change';
+      }
+
+      // alaways bind keyup event, for better UX when a field is invalid
+      var triggers = ( !this.options.trigger ? '' : this.options.trigger )
+        + ( new RegExp( 'key', 'i' ).test( this.options.trigger ) ? '' : ' keyup' );
+
+      // alaways bind change event, for better UX when a select is invalid
+      if ( this.$element.is( 'select' ) ) {
+        triggers += new RegExp( 'change', 'i' ).test( triggers ) ? '' : ' change';
+      }
+
+      // trim triggers to bind them correctly with .on()
+      triggers = triggers.replace( /^\s+/g , '' ).replace( /\s+$/g , '' );
+
+      this.$element.on( ( triggers + ' ' ).split( ' ' ).join( '.' + this.type + ' ' ), false, $.proxy( this.eventValidation, this ) );
+    }
+
+    /**
+    * Hash management. Used for ul error
+    *
+    * @method generateHash
+    * @returns {String} 5 letters unique hash
+    */
+    , generateHash: function () {
+      return 'parsley-' + ( Math.random() + '' ).substring( 2 );
+    }
+
+    /**
+    * Public getHash accessor
+    *
+    * @method getHash
+    * @returns {String} hash
+    */
+    , getHash: function () {
+      return this.hash;
+    }
+
+    /**
+    * Returns field val needed for validation
+    * Special treatment for radio & checkboxes
+    *
+    * @method getVal
+    * @returns {String} val
+    */
+    , getVal: function () {
+      var files = this.$element.get( 0 ).files;
+
+      // file inputs value is their selected files FileList (File API), or an empty string if none is selected
+      if ( this.$element.is( 'input[type=file]' ) && files ) {
+        return this.$element.data('value') || ( files.length ? files : '' );
+      }
+
+      // Zepto val() looks for selected options on any multiple element, eg: email inputs with multiple attribute
+      if ( this.$element.is( 'input' ) && this.$element.prop( 'multiple' ) ) {
+        return this.$element.data('value') || this.$element.get( 0 ).value;
+      }
+
+      return this.$element.data('value') || this.$element.val();
+    }
+
+    /**
+    * Called when validation is triggered by an event
+    * Do nothing if val.length < this.options.validationMinlength
+    *
+    * @method eventValidation
+    * @param {Object} event jQuery event
+    */
+    , eventValidation: function ( event ) {
+      var val = this.getVal();
+
+      // do nothing on keypress event if not explicitely passed as data-trigger and if field has not already been validated once
+      if ( event.type === 'keyup' && !/keyup/i.test( this.options.trigger ) && !this.validatedOnce ) {
+        return true;
+      }
+
+      // do nothing on change event if not explicitely passed as data-trigger and if field has not already been validated once
+      if ( event.type === 'change' && !/change/i.test( this.options.trigger ) && !this.validatedOnce ) {
+        return true;
+      }
+
+      // start validation process only if field has enough chars and validation never started
+      if ( !this.isRadioOrCheckbox && !this.$element.is( 'input[type=file]' ) && this.getLength(val) < this.options.validationMinlength && !this.validatedOnce ) {
+        return true;
+      }
+
+      this.validate();
+    }
+
+    /**
+     * Get the length of a given value
+     *
+     * @method getLength
+     * @return {int} The length of the value
+     */
+    , getLength: function(val) {
+      if (!val || !val.hasOwnProperty('length')) return 0;
+      return val.length;
+    }
+
+    /**
+    * Returns field validation group, set with data-parsley-group
+    *
+    * @method getGroup
+    * @return {String} group name, undefined if field does not belong to any group
+    */
+    , getGroup: function () {
+      return 'undefined' !== typeof this.options.parsleyGroup ? this.options.parsleyGroup + '' : undefined;
+    }
+
+    /**
+    * Returns field label, used in form errors summary
+    * data-label first, then associated <label>, then field name
+    *
+    * @method getLabel
+    * @return {String} label
+    */
+    , getLabel: function () {
+      var id = this.$element.attr( 'id' )
+        , $label = 'undefined' !== typeof id ? $( 'label[for="' + id + '"]' ) : $();
+
+      if ( 'undefined' !== typeof this.options.label ) {
+        return this.options.label;
+      }
+
+      if ( !$label.length ) {
+        $label = this.$element.closest( 'label' );
+      }
+
+      if ( $label.length ) {
+        return $.trim( $label.text() );
+      }
+
+      return this.$element.attr( 'name' ) || id || '';
+    }
+
+    /**
+    * Return if field verify its constraints
+    *
+    * @method isValid
+    * @return {Boolean} Is field valid or not
+    */
+    , isValid: function () {
+      return this.validate( false );
+    }
+
+    /**
+    * Return if field has constraints
+    *
+    * @method hasConstraints
+    * @return {Boolean} Is field has constraints or not
+    */
+    , hasConstraints: function () {
+      for ( var constraint in this.constraints ) {
+        return true;
+      }
+
+      return false;
+    }
+
+    /**
+    * Validate a field & display errors
+    *
+    * @method validate
+    * @param {Mixed} errorBubbling set to false if you just want valid boolean without error bubbling next to fields
+    *                or { detailed: true } to get a { valid: valid, errors: getErrors() } result
+    * @return {Mixed} Is field valid or not, or detailed result
+    */
+    , validate: function ( errorBubbling ) {
+      var val = this.getVal()
+        , showErrors = 'undefined' !== typeof errorBubbling ? errorBubbling : this.options.showErrors
+        , valid = null;
+
+      if ( $.isPlainObject( errorBubbling ) ) {
+        valid = this.validate();
+
+        return true === errorBubbling.detailed ? { valid: valid, errors: this.getErrors() } : valid;
+      }
+
+      // do not even bother trying validating a field w/o constraints
+      if ( !this.hasConstraints() ) {
+        return null;
+      }
+
+      // do not validate field if its data-validate-if condition is not met
+      if ( !this.checkCondition( 'validateIf' ) ) {
+        this.reset();
+        return null;
+      }
+
+      // data-required-if field is required only while its condition is met
+      if ( 'undefined' !== typeof this.conditions.requiredIf ) {
+        this.isRequired = this.checkCondition( 'requiredIf' );
+      }
+
+      // reset Parsley validation if onFieldValidate returns true, or if field is empty and not required
+      if ( this.options.listeners.onFieldValidate( this.element, this ) || ( '' === val && !this.isRequired && !this.hasBadInput() ) ) {
+        this.reset();
+        return null;
+      }
+
+      // do not validate a field already validated and unchanged !
+      if ( !this.needsValidation( val ) ) {
+        return this.valid;
+      }
+
+      valid = this.applyValidators( showErrors );
+
+      if ( showErrors ) {
+        this.manageValidationResult();
+      }
+
+      return valid;
+    }
+
+    /**
+    * Return if browser could not make a value of user input, eg: letters typed in a number input
+    * Such value is seen as empty, but must be validated if field consumes native badInput validity flag
+    *
+    * @private
+    * @method hasBadInput
+    * @return {Boolean}
+    */
+    , hasBadInput: function () {
+      var validity = this.$element.get( 0 ).validity;
+
+      return 'undefined' !== typeof this.constraints.validity && 'undefined' !== typeof validity && true === validity.badInput
+        && !this.Validator.validators.validity( '', this.constraints.validity.requirements, this );
+    }
+
+    /**
+    * Check if value has changed since previous validation
+    *
+    * @method needsValidation
+    * @param value
+    * @return {Boolean}
+    */
+    , needsValidation: function ( val ) {
+      // fields depending on other fields values must be validated even if their own value is unchanged
+      if ( !this.options.validateIfUnchanged && !this.hasDependencies() && this.valid !== null && this.val === val && this.validatedOnce ) {
+        return false;
+      }
+
+      this.val = val;
+      return this.validatedOnce = true;
+    }
+
+    /**
+    * Return if field has constraints whose requirement is another field selector (equalto, greaterthan..)
+    * or conditions referencing other fields
+    *
+    * @method hasDependencies
+    * @return {Boolean}
+    */
+    , hasDependencies: function () {
+      return 0 !== this.getDependencies().length;
+    }
+
+    /**
+    * Returns fields this field depends on, one jQuery object per dependent constraint or condition
+    *
+    * @method getDependencies
+    * @return {Array}
+    */
+    , getDependencies: function () {
+      var dependencies = [];
+
+      for ( var constraint in this.constraints ) {
+        if ( this.options.dependentValidators[ constraint ] ) {
+          dependencies.push( $( this.constraints[ constraint ].requirements ) );
+        }
+      }
+
+      for ( var condition in this.conditions ) {
+        dependencies.push( $( this.conditions[ condition ].selector ) );
+      }
+
+      return dependencies;
+    }
+
+    /**
+    * Loop through every fields validators
+    * Adds errors after unvalid fields
+    *
+    * @method applyValidators
+    * @param {Boolean} showErrors display async validators results once they answer
+    * @return {Mixed} {Boolean} If field valid or not, null if not validated
+    */
+    , applyValidators: function ( showErrors ) {
+      var valid = null
+        , constraints = this.getConstraintsByPriority()
+        , stopOnFirstFailure = this.options.priorityEnabled || this.options.stopOnFirstFailure;
+
+      for ( var i = 0; i < constraints.length; i++ ) {
+        // a new validation supersedes pending async ones, their answers will be ignored
+        constraints[ i ].pending = null;
+
+        // lower priority constraints are skipped once one failed, eg: no remote request for an invalid email
+        if ( stopOnFirstFailure && false === valid ) {
+          constraints[ i ].valid = null;
+          continue;
+        }
+
+        var result = this.Validator.validators[ constraints[ i ].name ]( this.val, constraints[ i ].requirements, this );
+
+        // async validator, its result will be known once its promise is settled
+        if ( this.isPromise( result ) ) {
+          this.managePendingConstraint( constraints[ i ], result, showErrors );
+          result = constraints[ i ].valid;
+        }
+
+        if ( false === result ) {
+          valid = false;
+          constraints[ i ].valid = valid;
+        } else if ( true === result ) {
+          constraints[ i ].valid = true;
+          valid = false !== valid;
+        }
+      }
+
+      // field could not be considered valid until async validators answered
+      if ( true === valid && this.hasPendingConstraints() ) {
+        valid = null;
+      }
+
+      // listeners' ballet
+      if (false === valid) {
+        this.options.listeners.onFieldError( this.element, this.constraints, this );
+      } else if (true === valid && false === this.options.listeners.onFieldSuccess( this.element, this.constraints, this )) {
+        // if onFieldSuccess returns (bool) false, consider that field si invalid
+        valid = false;
+      }
+
+      this.manageCustomValidity();
+
+      return valid;
+    }
+
+    /**
+    * Returns field constraints sorted from highest to lowest validator priority
+    * Constraints of same priority keep their declaration order
+    *
+    * @method getConstraintsByPriority
+    * @return {Array} constraints
+    */
+    , getConstraintsByPriority: function () {
+      var constraints = [];
 
-      // remove eventually already binded events
-      this.$element.off( '.' + this.type );
+      for ( var constraint in this.constraints ) {
+        constraints.push( {
+            constraint: this.constraints[ constraint ]
+          , index: constraints.length
+          , priority: this.Validator.getPriority( this.constraints[ constraint ].name )
+        } );
+      }
 
-      // force add 'change' event if async remote validator here to have result before form submitting
-      if ( this.options.remote && !new RegExp( 'change', 'i' ).test( this.options.trigger ) ) {
-        this.options.trigger = !this.options.trigger ? 'change' : ' change';
+      constraints.sort( function ( a, b ) {
+        return b.priority - a.priority || a.index - b.index;
+      } );
+
+      return $.map( constraints, function ( item ) {
+        return item.constraint;
+      } );
+    }
+
+    /**
+    * Check if a validator result is a promise (async validators)
+    *
+    * @private
+    * @method isPromise
+    * @param {Mixed} result
+    * @return {Boolean}
+    */
+    , isPromise: function ( result ) {
+      return 'object' === typeof result && null !== result && 'function' === typeof result.then;
+    }
+
+    /**
+    * Keep constraint pending until its promise is settled. Resolved means valid, rejected means invalid.
+    * Promise could be resolved or rejected with a string used as error message
+    *
+    * @private
+    * @method managePendingConstraint
+    * @param {Object} constraint
+    * @param {Object} promise
+    * @param {Boolean} showErrors display result once promise is settled
+    */
+    , managePendingConstraint: function ( constraint, promise, showErrors ) {
+      var self = this;
+
+      var settle = function ( isConstraintValid ) {
+        return function ( message ) {
+          // an other validation has been triggered meanwhile, ignore this outdated result
+          if ( 'undefined' === typeof self.constraints[ constraint.name ] || promise !== self.constraints[ constraint.name ].pending ) {
+            return;
+          }
+
+          self.constraints[ constraint.name ].pending = null;
+          self.updtConstraint( { name: constraint.name, valid: isConstraintValid }, message );
+          self.manageCustomValidity();
+
+          if ( showErrors ) {
+            self.manageValidationResult();
+          }
+        };
+      };
+
+      constraint.valid = null;
+      constraint.pending = promise;
+      promise.then( settle( true ), settle( false ) );
+    }
+
+    /**
+    * Returns promises of constraints still waiting for an async validator result
+    *
+    * @method getPendingPromises
+    * @return {Array} promises
+    */
+    , getPendingPromises: function () {
+      var promises = [];
+
+      for ( var constraint in this.constraints ) {
+        if ( this.constraints[ constraint ].pending ) {
+          promises.push( this.constraints[ constraint ].pending );
+        }
       }
 
-      // alaways bind keyup event, for better UX when a field is invalid
-      var triggers = ( !this.options.trigger ? '' : this.options.trigger )
-        + ( new RegExp( 'key', 'i' ).test( this.options.trigger ) ? '' : ' keyup' );
+      return promises;
+    }
 
-      // alaways bind change event, for better UX when a select is invalid
-      if ( this.$element.is( 'select' ) ) {
-        triggers += new RegExp( 'change', 'i' ).test( triggers ) ? '' : ' change';
+    /**
+    * Return if field has constraints waiting for an async validator result
+    *
+    * @method hasPendingConstraints
+    * @return {Boolean}
+    */
+    , hasPendingConstraints: function () {
+      return this.getPendingPromises().length > 0;
+    }
+
+    /**
+    * Returns field validity given by its constraints results, whether they are displayed or not
+    *
+    * @private
+    * @method getConstraintsValidity
+    * @return {Mixed} {Boolean} false if a constraint failed, true if they passed, null if not validated or still pending
+    */
+    , getConstraintsValidity: function () {
+      var valid = null;
+
+      for ( var constraint in this.constraints ) {
+        if ( false === this.constraints[ constraint ].valid ) {
+          return false;
+        } else if ( true === this.constraints[ constraint ].valid ) {
+          valid = true;
+        }
       }
 
-      // trim triggers to bind them correctly with .on()
-      triggers = triggers.replace( /^\s+/g , '' ).replace( /\s+$/g , '' );
+      return true === valid && this.hasPendingConstraints() ? null : valid;
+    }
 
-      this.$element.on( ( triggers + ' ' ).split( ' ' ).join( '.' + this.type + ' ' ), false, $.proxy( this.eventValidation, this ) );
+    /**
+    * Validate field and wait for its async validators results. Needs jQuery, Zepto has no $.Deferred
+    *
+    * @method whenValid
+    * @return {Object} jQuery promise, resolved if field is valid, rejected otherwise
+    */
+    , whenValid: function () {
+      var self = this
+        , deferred = getDeferred()
+        , valid = this.validate();
+
+      var settle = function () {
+        // a superseded async validator answers before the newer one, wait for it too
+        if ( self.hasPendingConstraints() ) {
+          whenAll( self.getPendingPromises() ).always( function () {
+            valid = self.getConstraintsValidity();
+            settle();
+          } );
+          return;
+        }
+
+        false === valid ? deferred.reject( self ) : deferred.resolve( self );
+      };
+
+      settle();
+
+      return deferred.promise();
     }
 
     /**
-    * Hash management. Used for ul error
+    * Fired when all validators have be executed
+    * Returns true or false if field is valid or not
+    * Display errors messages below failed fields
+    * Adds parsley-success or parsley-error class on fields
     *
-    * @method generateHash
-    * @returns {String} 5 letters unique hash
+    * @method manageValidationResult
+    * @return {Boolean} Is field valid or not
     */
-    , generateHash: function () {
-      return 'parsley-' + ( Math.random() + '' ).substring( 2 );
+    , manageValidationResult: function () {
+      var valid = null
+        , constraints = this.getConstraintsByPriority();
+
+      for ( var i = 0; i < constraints.length; i++ ) {
+        if ( false === constraints[ i ].valid ) {
+          this.manageError( constraints[ i ] );
+          valid = false;
+        } else if ( true === constraints[ i ].valid ) {
+          this.removeError( constraints[ i ].name );
+          valid = false !== valid;
+
+        // skipped constraint, see priorityEnabled option
+        } else if ( !constraints[ i ].pending ) {
+          this.removeError( constraints[ i ].name );
+        }
+      }
+
+      // do not show field as valid while async validators did not answer
+      if ( true === valid && this.hasPendingConstraints() ) {
+        valid = null;
+      }
+
+      this.valid = valid;
+      this.manageAriaInvalid();
+
+      if ( true === this.valid ) {
+        this.removeErrors();
+        this.renderer.setState( true );
+      } else if ( false === this.valid ) {
+        this.renderer.setState( false );
+
+      // remove li error, and ul error if no more li inside
+      } else if ( !this.renderer.hasError() ) {
+        this.removeErrors();
+      }
+
+      this.updateParentErrorSummary();
+
+      return valid;
     }
 
     /**
-    * Public getHash accessor
+    * Rebuild parent form fields dependency graph, if any
     *
-    * @method getHash
-    * @returns {String} hash
+    * @private
+    * @method updateParentDependencies
     */
-    , getHash: function () {
-      return this.hash;
+    , updateParentDependencies: function () {
+      if ( 'undefined' !== typeof this.getParentForm() ) {
+        this.getParentForm().bindDependencies();
+      }
     }
 
     /**
-    * Returns field val needed for validation
-    * Special treatment for radio & checkboxes
+    * Keep parent form errors summary in sync with this field errors
     *
-    * @method getVal
-    * @returns {String} val
+    * @private
+    * @method updateParentErrorSummary
     */
-    , getVal: function () {
-      return this.$element.data('value') || this.$element.val();
+    , updateParentErrorSummary: function () {
+      if ( 'undefined' !== typeof this.getParentForm() ) {
+        this.getParentForm().updateErrorSummary();
+      }
     }
 
     /**
-    * Called when validation is triggered by an event
-    * Do nothing if val.length < this.options.validationMinlength
+    * Remove li / ul error
     *
-    * @method eventValidation
-    * @param {Object} event jQuery event
+    * @method removeError
+    * @param {String} constraintName Method Name
     */
-    , eventValidation: function ( event ) {
-      var val = this.getVal();
+    , removeError: function ( constraintName ) {
+      this.renderer.removeError( constraintName );
+    }
 
-      // do nothing on keypress event if not explicitely passed as data-trigger and if field has not already been validated once
-      if ( event.type === 'keyup' && !/keyup/i.test( this.options.trigger ) && !this.validatedOnce ) {
-        return true;
+    /**
+    * Add li error
+    *
+    * @method addError
+    * @param {Object} { minlength: "error message for minlength constraint" }
+    */
+    , addError: function ( error ) {
+      for ( var constraint in error ) {
+        this.renderer.showError( constraint, error[ constraint ] );
+      }
+    }
+
+    /**
+    * Remove all ul / li errors, server ones included
+    *
+    * @method removeErrors
+    */
+    , removeErrors: function () {
+      // server errors are not shown anymore, forget them too
+      this.removeServerErrors();
+      this.renderer.removeErrors();
+    }
+
+    /**
+    * Remove ul errors and parsley error or success classes
+    *
+    * @method reset
+    */
+    , reset: function () {
+      this.removeServerErrors();
+      this.valid = null;
+      this.manageAriaInvalid();
+      this.renderer.reset();
+      this.validatedOnce = false;
+
+      for ( var constraint in this.constraints ) {
+        this.constraints[ constraint ].valid = null;
+        this.constraints[ constraint ].pending = null;
+      }
+
+      this.manageCustomValidity();
+      this.updateParentErrorSummary();
+
+      return this;
+    }
+
+    /**
+    * Display server side error messages along Parsley ones, until field value is edited
+    *
+    * @method setServerErrors
+    * @param {Mixed} messages {String} message or {Array} messages
+    */
+    , setServerErrors: function ( messages ) {
+      var $elements = this.isRadioOrCheckbox ? $( this.siblings ) : this.$element
+        , liError;
+
+      this.removeServerErrors();
+      messages = $.isArray( messages ) ? messages : [ messages ];
+
+      if ( !messages.length ) {
+        return;
+      }
+
+      for ( var i = 0; i < messages.length; i++ ) {
+        liError = {};
+        liError[ 'parsley-server-error' ] = messages[ i ];
+        this.addError( liError );
+      }
+
+      this.serverErrors = messages;
+      this.serverErrorsVal = '' + this.getVal();
+      this.renderer.setState( false );
+
+      $elements.on( 'keyup.' + this.type + 'ServerError change.' + this.type + 'ServerError', false, $.proxy( function () {
+        // keyup is also fired when tabbing into field, wait for a real edit
+        if ( this.serverErrorsVal !== '' + this.getVal() ) {
+          this.removeServerErrors();
+        }
+      }, this ) );
+
+      this.updateParentErrorSummary();
+    }
+
+    /**
+    * Remove server side error messages, and error class if Parsley did not find field invalid
+    *
+    * @method removeServerErrors
+    */
+    , removeServerErrors: function () {
+      if ( !this.serverErrors ) {
+        return;
+      }
+
+      this.serverErrors = null;
+      ( this.isRadioOrCheckbox ? $( this.siblings ) : this.$element ).off( '.' + this.type + 'ServerError' );
+      this.renderer.removeError( 'parsley-server-error', true );
+
+      if ( !this.renderer.hasError() ) {
+        this.renderer.removeErrors( true );
+      }
+
+      if ( false !== this.valid ) {
+        this.renderer.setState( this.valid );
+      }
+
+      this.updateParentErrorSummary();
+    }
+
+    /**
+    * Add li / ul errors messages
+    *
+    * @method manageError
+    * @param {Object} constraint
+    */
+    , manageError: function ( constraint ) {
+      if ( this.isErrorHidden( constraint ) ) {
+        // if empty required field and non required constraint fails, remove its error
+        if ( 'required' !== constraint.name ) {
+          this.removeError( constraint.name );
+        }
+
+        return;
+      }
+
+      var liClass = false !== this.options.errorMessage ? 'custom-error-message' : constraint.name
+        , liError = {};
+
+      // add liError if not shown. Do not add more than once custom errorMessage if exist
+      if ( !this.renderer.hasError( liClass ) ) {
+        liError[ liClass ] = this.getErrorMessage( constraint );
+        this.addError( liError );
+      }
+    }
+
+    /**
+    * Do not display required error along another errors, and reciprocally
+    *
+    * @private
+    * @method isErrorHidden
+    * @param {Object} constraint
+    * @return {Boolean}
+    */
+    , isErrorHidden: function ( constraint ) {
+      var isEmpty = null === this.getVal() || 0 === this.getVal().length;
+
+      // required error is only shown on empty fields
+      if ( 'required' === constraint.name ) {
+        return !isEmpty;
+      }
+
+      // empty required field only shows required error: lower priority constraints obviously fail on empty values
+      return this.isRequired && isEmpty && this.Validator.getPriority( constraint.name ) <= this.Validator.getPriority( 'required' );
+    }
+
+    /**
+    * Returns formatted error message for a failing constraint
+    *
+    * @method getErrorMessage
+    * @param {Object} constraint
+    * @return {String} message
+    */
+    , getErrorMessage: function ( constraint ) {
+      var constraintName = constraint.name
+        , params = this.getMessageParams( constraint )
+        , locale = this.getLocale()
+        , message;
+
+      if ( false !== this.options.errorMessage ) {
+        return this.Validator.formatMesssage( this.options.errorMessage, constraint.requirements, params, locale );
+      }
+
+      message = this.getFieldMessage( constraint );
+
+      if ( 'undefined' !== typeof message ) {
+        return this.Validator.formatMesssage( message, 'type' === constraintName ? null : constraint.requirements, params, locale );
       }
 
-      // do nothing on change event if not explicitely passed as data-trigger and if field has not already been validated once
-      if ( event.type === 'change' && !/change/i.test( this.options.trigger ) && !this.validatedOnce ) {
-        return true;
+      if ( 'type' === constraintName ) {
+        return this.Validator.formatMesssage( this.Validator.getMessage( constraint.requirements, locale, true ), null, params, locale );
+      }
+
+      message = this.Validator.getMessage( constraintName, locale );
+
+      return 'undefined' === typeof message ?
+        this.Validator.getMessage( 'defaultMessage', locale ) : this.Validator.formatMesssage( message, constraint.requirements, params, locale );
+    }
+
+    /**
+    * Returns field locale: its own data-locale or its form one, else Parsley default locale
+    *
+    * @method getLocale
+    * @return {String} locale, false if none
+    */
+    , getLocale: function () {
+      return this.options.locale || Parsley.locale;
+    }
+
+    /**
+    * Returns decimal and grouping separators used to write numbers in this field:
+    * numberDecimal and numberGrouping options, or field locale catalog numberFormat, or english ones
+    *
+    * @method getNumberFormat
+    * @return {Object} { decimal: '.', grouping: ',' }
+    */
+    , getNumberFormat: function () {
+      var catalog = Parsley.catalogs[ this.getLocale() ] || {}
+        , format = $.extend( { decimal: '.', grouping: ',' }, catalog.numberFormat );
+
+      if ( false !== this.options.numberDecimal ) {
+        format.decimal = '' + this.options.numberDecimal;
       }
 
-      // start validation process only if field has enough chars and validation never started
-      if ( !this.isRadioOrCheckbox && this.getLength(val) < this.options.validationMinlength && !this.validatedOnce ) {
-        return true;
+      if ( false !== this.options.numberGrouping ) {
+        format.grouping = '' + this.options.numberGrouping;
       }
 
-      this.validate();
+      return format;
     }
 
     /**
-     * Get the length of a given value
-     *
-     * @method getLength
-     * @return {int} The length of the value
-     */
-    , getLength: function(val) {
-      if (!val || !val.hasOwnProperty('length')) return 0;
-      return val.length;
+    * Parse a number written with field number format, eg: "1.234,56" in german. Used by number validators
+    *
+    * @method parseNumber
+    * @param {String} val
+    * @return {Number} NaN if not a number
+    */
+    , parseNumber: function ( val ) {
+      return parseNumber( val, this.getNumberFormat() );
     }
 
     /**
-    * Return if field verify its constraints
+    * Returns format of dates written in this field: date validator requirement, or dateFormat option
     *
-    * @method isValid
-    * @return {Boolean} Is field valid or not
+    * @method getDateFormat
+    * @return {String} eg: 'DD/MM/YYYY'
     */
-    , isValid: function () {
-      return this.validate( false );
+    , getDateFormat: function () {
+      return 'string' === typeof this.options.date ? this.options.date : this.options.dateFormat;
     }
 
     /**
-    * Return if field has constraints
+    * Parse a date written with field date format. Used by date validators
     *
-    * @method hasConstraints
-    * @return {Boolean} Is field has constraints or not
+    * @method parseDate
+    * @param {String} val
+    * @return {Date} null if not a valid date
     */
-    , hasConstraints: function () {
-      for ( var constraint in this.constraints ) {
-        return true;
-      }
+    , parseDate: function ( val ) {
+      return parseDate( val, this.getDateFormat() );
+    }
 
-      return false;
+    /**
+    * Write a date with field date format
+    *
+    * @method formatDate
+    * @param {Date} date
+    * @return {String}
+    */
+    , formatDate: function ( date ) {
+      return formatDate( date, this.getDateFormat() );
     }
 
     /**
-    * Validate a field & display errors
+    * Parse mindate, maxdate and daterange requirements: a date written with field date format or YYYY-MM-DD,
+    * or a date relative to today or now, eg: "today", "now", "+1d", "-18y", "today+1m-2w", "now+2h"
+    * Units: y years, m months, w weeks, d days, h hours
     *
-    * @method validate
-    * @param {Boolean} errorBubbling set to false if you just want valid boolean without error bubbling next to fields
-    * @return {Boolean} Is field valid or not
+    * @method parseDateRequirement
+    * @param {String} requirement
+    * @return {Date} null if requirement is not a valid date
     */
-    , validate: function ( errorBubbling ) {
-      var val = this.getVal()
-        , valid = null;
+    , parseDateRequirement: function ( requirement ) {
+      var relative = /^(today|now)?((?:\s*[+\-]\s*\d+\s*[ymwdh])*)$/.exec( $.trim( '' + requirement ) )
+        , offsets = /([+\-])\s*(\d+)\s*([ymwdh])/g
+        , date, offset, count;
 
-      // do not even bother trying validating a field w/o constraints
-      if ( !this.hasConstraints() ) {
-        return null;
+      if ( null === relative || '' === relative[ 0 ] ) {
+        return this.parseDate( requirement ) || parseDate( requirement, 'YYYY-MM-DD' );
       }
 
-      // reset Parsley validation if onFieldValidate returns true, or if field is empty and not required
-      if ( this.options.listeners.onFieldValidate( this.element, this ) || ( '' === val && !this.isRequired ) ) {
-        this.reset();
-        return null;
-      }
+      date = new Date();
 
-      // do not validate a field already validated and unchanged !
-      if ( !this.needsValidation( val ) ) {
-        return this.valid;
+      if ( 'now' !== relative[ 1 ] ) {
+        date.setHours( 0, 0, 0, 0 );
       }
 
-      valid = this.applyValidators();
+      while ( null !== ( offset = offsets.exec( relative[ 2 ] ) ) ) {
+        count = ( '-' === offset[ 1 ] ? -1 : 1 ) * parseInt( offset[ 2 ], 10 );
 
-      if ( 'undefined' !== typeof errorBubbling ? errorBubbling : this.options.showErrors ) {
-        this.manageValidationResult();
+        switch ( offset[ 3 ] ) {
+          case 'y':
+            date.setFullYear( date.getFullYear() + count );
+            break;
+          case 'm':
+            date.setMonth( date.getMonth() + count );
+            break;
+          case 'w':
+            date.setDate( date.getDate() + 7 * count );
+            break;
+          case 'd':
+            date.setDate( date.getDate() + count );
+            break;
+          case 'h':
+            date.setHours( date.getHours() + count );
+            break;
+        }
       }
 
-      return valid;
+      return date;
     }
 
     /**
-    * Check if value has changed since previous validation
+    * Returns daterange requirements as an array, given as JSON or not, eg: '["today", "+1y"]' or "[today, +1y]"
     *
-    * @method needsValidation
-    * @param value
-    * @return {Boolean}
+    * @method parseDateRange
+    * @param {Mixed} range
+    * @return {Array} [ min, max ]
     */
-    , needsValidation: function ( val ) {
-      if ( !this.options.validateIfUnchanged && this.valid !== null && this.val === val && this.validatedOnce ) {
-        return false;
+    , parseDateRange: function ( range ) {
+      if ( $.isArray( range ) ) {
+        return range;
       }
 
-      this.val = val;
-      return this.validatedOnce = true;
+      range = ( '' + range ).replace( /^\s*\[|\]\s*$/g, '' ).split( ',' );
+
+      for ( var i = 0; i < range.length; i++ ) {
+        range[ i ] = $.trim( range[ i ] );
+      }
+
+      return range;
     }
 
     /**
-    * Loop through every fields validators
-    * Adds errors after unvalid fields
+    * Change field locale and re-render its displayed errors
     *
-    * @method applyValidators
-    * @return {Mixed} {Boolean} If field valid or not, null if not validated
+    * @method setLocale
+    * @param {String} locale eg: 'fr'. false to use Parsley default locale
     */
-    , applyValidators: function () {
-      var valid = null;
+    , setLocale: function ( locale ) {
+      this.options.locale = locale;
+      this.updateErrorsMessages();
+    }
 
+    /**
+    * Re-render displayed errors messages, eg: after a locale change
+    *
+    * @method updateErrorsMessages
+    */
+    , updateErrorsMessages: function () {
       for ( var constraint in this.constraints ) {
-        var result = this.Validator.validators[ this.constraints[ constraint ].name ]( this.val, this.constraints[ constraint ].requirements, this );
-
-        if ( false === result ) {
-          valid = false;
-          this.constraints[ constraint ].valid = valid;
-        } else if ( true === result ) {
-          this.constraints[ constraint ].valid = true;
-          valid = false !== valid;
+        if ( false !== this.constraints[ constraint ].valid || this.isErrorHidden( this.constraints[ constraint ] ) ) {
+          continue;
         }
-      }
 
-      // listeners' ballet
-      if (false === valid) {
-        this.options.listeners.onFieldError( this.element, this.constraints, this );
-      } else if (true === valid && false === this.options.listeners.onFieldSuccess( this.element, this.constraints, this )) {
-        // if onFieldSuccess returns (bool) false, consider that field si invalid
-        valid = false;
+        this.renderer.updateError( false !== this.options.errorMessage ? 'custom-error-message' : this.constraints[ constraint ].name
+          , this.getErrorMessage( this.constraints[ constraint ] ) );
       }
 
-      return valid;
+      this.manageCustomValidity();
+      this.updateParentErrorSummary();
     }
 
     /**
-    * Fired when all validators have be executed
-    * Returns true or false if field is valid or not
-    * Display errors messages below failed fields
-    * Adds parsley-success or parsley-error class on fields
+    * Mirror field validation result into browser Constraint Validation API with setCustomValidity()
+    * if customValidity option is set, so that :invalid styling and form.checkValidity() agree with Parsley
     *
-    * @method manageValidationResult
-    * @return {Boolean} Is field valid or not
+    * @method manageCustomValidity
     */
-    , manageValidationResult: function () {
-      var valid = null;
-
-      for ( var constraint in this.constraints ) {
-        if ( false === this.constraints[ constraint ].valid ) {
-          this.manageError( this.constraints[ constraint ] );
-          valid = false;
-        } else if ( true === this.constraints[ constraint ].valid ) {
-          this.removeError( this.constraints[ constraint ].name );
-          valid = false !== valid;
-        }
-      }
+    , manageCustomValidity: function () {
+      var $elements = this.isRadioOrCheckbox ? $( this.siblings ) : this.$element
+        , message = '';
 
-      this.valid = valid;
-
-      if ( true === this.valid ) {
-        this.removeErrors();
-        this.errorClassHandler.removeClass( this.options.errorClass ).addClass( this.options.successClass );
-        return true;
-      } else if ( false === this.valid ) {
-        this.errorClassHandler.removeClass( this.options.successClass ).addClass( this.options.errorClass );
-        return false;
+      if ( !this.options.customValidity ) {
+        return;
       }
 
-      // remove li error, and ul error if no more li inside
-      if ( this.ulError && $( this.ulError ).children().length === 0 ) {
-        this.removeErrors();
+      for ( var i = 0, constraints = this.getConstraintsByPriority(); i < constraints.length; i++ ) {
+        if ( false === constraints[ i ].valid && !this.isErrorHidden( constraints[ i ] ) ) {
+          message = this.getErrorMessage( constraints[ i ] );
+          break;
+        }
       }
 
-      return valid;
+      $elements.each( function () {
+        if ( 'function' === typeof this.setCustomValidity ) {
+          this.setCustomValidity( message );
+        }
+      } );
     }
 
     /**
-    * Manage ul error Container
+    * Returns named placeholders values for a constraint error message:
+    * {field}, {value} and constraint requirements names, eg: {min} and {max} for range
     *
-    * @private
-    * @method ulErrorManagement
+    * @method getMessageParams
+    * @param {Object} constraint
+    * @return {Object} params
     */
-    , ulErrorManagement: function () {
-      this.ulError = '#' + this.hash;
-      this.ulTemplate = $( this.options.errors.errorsWrapper ).attr( 'id', this.hash ).addClass( 'parsley-error-list' );
-    }
+    , getMessageParams: function ( constraint ) {
+      var names = this.Validator.requirementsNames[ constraint.name ] || []
+        , requirements = $.isArray( constraint.requirements ) ? constraint.requirements : [ constraint.requirements ]
+        , value = this.getVal()
+        , params = {
+            field: this.getFieldName()
+          , value: $.isArray( value ) ? value.join( ', ' ) : value
+        }
+        , date, i;
 
-    /**
-    * Remove li / ul error
-    *
-    * @method removeError
-    * @param {String} constraintName Method Name
-    */
-    , removeError: function ( constraintName ) {
-      var liError = this.ulError + ' .' + constraintName
-        , that = this;
+      // file inputs value is written with selected files names
+      if ( this.$element.is( 'input[type=file]' ) ) {
+        params.value = $.map( getFiles( value ), function ( file ) { return file.name; } ).join( ', ' );
+      }
 
-      this.options.animate ? $( liError ).fadeOut( this.options.animateDuration, function () {
-        $( this ).remove();
+      // write dates requirements, eg: "today" or "-18y", with field date format
+      if ( /^(mindate|maxdate|daterange)$/.test( constraint.name ) ) {
+        requirements = 'daterange' === constraint.name ? this.parseDateRange( constraint.requirements ).slice( 0 ) : [ constraint.requirements ];
 
-        if ( that.ulError && $( that.ulError ).children().length === 0 ) {
-          that.removeErrors();
-        } } ) : $( liError ).remove();
+        for ( i = 0; i < requirements.length; i++ ) {
+          date = this.parseDateRequirement( requirements[ i ] );
+          requirements[ i ] = null !== date ? this.formatDate( date ) : requirements[ i ];
+        }
+      }
+
+      for ( i = 0; i < names.length; i++ ) {
+        params[ names[ i ] ] = requirements[ i ];
+      }
+
+      return params;
     }
 
     /**
-    * Add li error
+    * Returns error messages of every displayed failing constraint
     *
-    * @method addError
-    * @param {Object} { minlength: "error message for minlength constraint" }
+    * @method getErrorsMessages
+    * @return {Array} messages
     */
-    , addError: function ( error ) {
-      for ( var constraint in error ) {
-        var liTemplate = $( this.options.errors.errorElem ).addClass( constraint );
+    , getErrorsMessages: function () {
+      var messages = [];
+
+      for ( var constraint in this.constraints ) {
+        if ( false !== this.constraints[ constraint ].valid || this.isErrorHidden( this.constraints[ constraint ] ) ) {
+          continue;
+        }
 
-        $( this.ulError ).append( this.options.animate ? $( liTemplate ).html( error[ constraint ] ).hide().fadeIn( this.options.animateDuration ) : $( liTemplate ).html( error[ constraint ] ) );
+        var message = this.getErrorMessage( this.constraints[ constraint ] );
+
+        // custom errorMessage is shown only once
+        if ( -1 === $.inArray( message, messages ) ) {
+          messages.push( message );
+        }
       }
-    }
 
-    /**
-    * Remove all ul / li errors
-    *
-    * @method removeErrors
-    */
-    , removeErrors: function () {
-      this.options.animate ? $( this.ulError ).fadeOut( this.options.animateDuration, function () { $( this ).remove(); } ) : $( this.ulError ).remove();
+      return this.serverErrors ? messages.concat( this.serverErrors ) : messages;
     }
 
     /**
-    * Remove ul errors and parsley error or success classes
+    * Returns a detailed error of every displayed failing constraint
     *
-    * @method reset
+    * @method getErrors
+    * @return {Array} [ { field: name, constraint: name, requirements: requirements, message: message, value: value } ]
     */
-    , reset: function () {
-      this.valid = null;
-      this.removeErrors();
-      this.validatedOnce = false;
-      this.errorClassHandler.removeClass( this.options.successClass ).removeClass( this.options.errorClass );
+    , getErrors: function () {
+      var errors = [];
 
       for ( var constraint in this.constraints ) {
-        this.constraints[ constraint ].valid = null;
+        if ( false !== this.constraints[ constraint ].valid || this.isErrorHidden( this.constraints[ constraint ] ) ) {
+          continue;
+        }
+
+        errors.push( {
+            field: this.getFieldName()
+          , constraint: this.constraints[ constraint ].name
+          , requirements: this.constraints[ constraint ].requirements
+          , message: this.getErrorMessage( this.constraints[ constraint ] )
+          , value: this.getVal()
+        } );
       }
 
-      return this;
+      return errors;
     }
 
     /**
-    * Add li / ul errors messages
+    * Returns field name used in detailed errors: its name, or its id, or its hash
     *
-    * @method manageError
-    * @param {Object} constraint
+    * @method getFieldName
+    * @return {String}
     */
-    , manageError: function ( constraint ) {
-      // display ulError container if it has been removed previously (or never shown)
-      if ( !$( this.ulError ).length ) {
-        this.manageErrorContainer();
-      }
+    , getFieldName: function () {
+      return this.$element.attr( 'name' ) || this.$element.attr( 'id' ) || this.hash;
+    }
 
-      // TODO: refacto properly
-      // if required constraint but field is not null, do not display
-      if ( 'required' === constraint.name && null !== this.getVal() && this.getVal().length > 0 ) {
-        return;
-      // if empty required field and non required constraint fails, do not display
-      } else if ( this.isRequired && 'required' !== constraint.name && ( null === this.getVal() || 0 === this.getVal().length ) ) {
-        this.removeError(constraint.name);
+    /**
+    * Set aria-invalid on field according to its validation result, removed once field is reset
+    *
+    * @private
+    * @method manageAriaInvalid
+    */
+    , manageAriaInvalid: function () {
+      var $elements = this.isRadioOrCheckbox ? $( this.siblings ) : this.$element;
+
+      if ( !this.options.aria ) {
         return;
       }
 
-      // TODO: refacto error name w/ proper & readable function
-      var constraintName = constraint.name
-        , liClass = false !== this.options.errorMessage ? 'custom-error-message' : constraintName
-        , liError = {}
-        , message = false !== this.options.errorMessage ? this.options.errorMessage : ( constraint.name === 'type' ?
-            this.Validator.messages[ constraintName ][ constraint.requirements ] : ( 'undefined' === typeof this.Validator.messages[ constraintName ] ?
-              this.Validator.messages.defaultMessage : this.Validator.formatMesssage( this.Validator.messages[ constraintName ], constraint.requirements ) ) );
-
-      // add liError if not shown. Do not add more than once custom errorMessage if exist
-      if ( !$( this.ulError + ' .' + liClass ).length ) {
-        liError[ liClass ] = message;
-        this.addError( liError );
-      }
+      null === this.valid ? $elements.removeAttr( 'aria-invalid' ) : $elements.attr( 'aria-invalid', false === this.valid ? 'true' : 'false' );
     }
 
     /**
-    * Create ul error container
+    * Add or remove errors list id in field aria-describedby, keeping other ids already set
     *
-    * @method manageErrorContainer
+    * @private
+    * @method manageAriaDescribedBy
+    * @param {Boolean} isDescribed
     */
-    , manageErrorContainer: function () {
-      var errorContainer = this.options.errorContainer || this.options.errors.container( this.element, this.isRadioOrCheckbox )
-        , ulTemplate = this.options.animate ? this.ulTemplate.show() : this.ulTemplate;
+    , manageAriaDescribedBy: function ( isDescribed ) {
+      var $elements = this.isRadioOrCheckbox ? $( this.siblings ) : this.$element
+        , hash = this.hash;
 
-      if ( 'undefined' !== typeof errorContainer ) {
-        $( errorContainer ).append( ulTemplate );
+      if ( !this.options.aria ) {
         return;
       }
 
-      !this.isRadioOrCheckbox ? this.$element.after( ulTemplate ) : this.$element.parent().after( ulTemplate );
+      $elements.each( function () {
+        var ids = $.grep( ( $( this ).attr( 'aria-describedby' ) || '' ).split( ' ' ), function ( id ) {
+          return '' !== id && hash !== id;
+        } );
+
+        if ( isDescribed ) {
+          ids.push( hash );
+        }
+
+        ids.length ? $( this ).attr( 'aria-describedby', ids.join( ' ' ) ) : $( this ).removeAttr( 'aria-describedby' );
+      } );
     }
 
     /**
@@ -935,6 +3207,10 @@
     * @method destroy
     */
     , destroy: function () {
+      if ( -1 !== $.inArray( this, instances ) ) {
+        instances.splice( $.inArray( this, instances ), 1 );
+      }
+
       this.$element.removeClass( 'parsley-validated' );
       this.reset().$element.off( '.' + this.type ).removeData( this.type );
     }
@@ -1086,15 +3362,116 @@
     , init: function ( element, options, type ) {
       this.type = type;
       this.items = [];
+      this.dependencies = [];
       this.$element = $( element );
       this.options = options;
+      this.Validator = new Validator( options );
       var self = this;
 
       this.$element.find( options.inputs ).each( function () {
         self.addItem( this );
       });
 
-      this.$element.on( 'submit.' + this.type , false, $.proxy( this.validate, this ) );
+      this.$element.on( 'submit.' + this.type , false, $.proxy( this.validate, this ) );
+
+      // remember clicked submit button, its name and value are lost if form is natively submitted later
+      this.$element.on( 'click.' + this.type, 'input[type=submit], input[type=image], button[type=submit], button:not([type])', $.proxy( function ( event ) {
+        this.submitter = event.currentTarget;
+      }, this ) );
+
+      if ( options.observe ) {
+        this.observe();
+      }
+    }
+
+    /**
+    * Watch form subtree to automatically add inserted fields and remove detached ones
+    * Needs MutationObserver browser support, does nothing otherwise
+    *
+    * @private
+    * @method observe
+    */
+    , observe: function () {
+      var self = this
+        , MutationObserver = window.MutationObserver || window.WebKitMutationObserver;
+
+      if ( 'undefined' === typeof MutationObserver ) {
+        return;
+      }
+
+      this.observer = new MutationObserver( function ( mutations ) {
+        self.manageMutations( mutations );
+      } );
+
+      this.observer.observe( this.$element.get( 0 ), { childList: true, subtree: true } );
+    }
+
+    /**
+    * Add new matching inputs found in inserted nodes, remove items found in removed nodes and no longer in form.
+    * Errors lists and summary inserted by Parsley itself are skipped, they are changed on each validation
+    *
+    * @private
+    * @method manageMutations
+    * @param {Array} mutations MutationRecords
+    */
+    , manageMutations: function ( mutations ) {
+      var self = this
+        , parsleyNodes = '.parsley-error-list, .parsley-error-summary, .parsley-error-tooltip'
+        , nodes
+        , addItem = function () {
+            if ( !self.hasItem( this ) ) {
+              self.addItem( this );
+            }
+          }
+        , removeItem = function () {
+            // a node moved inside form is removed, then added again
+            if ( !$.contains( self.$element.get( 0 ), this ) && self.hasItem( this ) ) {
+              self.removeItem( this );
+            }
+          };
+
+      for ( var i = 0; i < mutations.length; i++ ) {
+        for ( var j = 0; j < mutations[ i ].addedNodes.length; j++ ) {
+          nodes = $( mutations[ i ].addedNodes[ j ] );
+
+          if ( 1 !== mutations[ i ].addedNodes[ j ].nodeType || nodes.closest( parsleyNodes ).length ) {
+            continue;
+          }
+
+          nodes.filter( this.options.inputs ).each( addItem );
+          nodes.find( this.options.inputs ).each( addItem );
+        }
+
+        for ( var k = 0; k < mutations[ i ].removedNodes.length; k++ ) {
+          nodes = $( mutations[ i ].removedNodes[ k ] );
+
+          if ( 1 !== mutations[ i ].removedNodes[ k ].nodeType || nodes.is( parsleyNodes ) ) {
+            continue;
+          }
+
+          nodes.filter( this.options.inputs ).each( removeItem );
+          nodes.find( this.options.inputs ).each( removeItem );
+        }
+      }
+    }
+
+    /**
+    * Check if an element is already a form item
+    *
+    * @method hasItem
+    * @param elem
+    * @return {Boolean}
+    */
+    , hasItem: function ( elem ) {
+      elem = $( elem ).get( 0 );
+
+      for ( var item = 0; item < this.items.length; item++ ) {
+        if ( 'undefined' !== typeof this.items[ item ] && elem === this.items[ item ].$element.get( 0 ) ) {
+          return true;
+        }
+      }
+
+      return false;
     }
 
     /**
@@ -1129,6 +3506,27 @@
       ParsleyField.setParent( this );
 
       this.items.push( ParsleyField );
+      this.bindDependencies();
+    }
+
+    /**
+    * Add / override validators for this form fields only, and bind their data-api constraints on fields
+    * Simple API: { name: fn }
+    *
+    * @method addValidator
+    * @param {Object} validators { name: fn }
+    */
+    , addValidator: function ( validators ) {
+      var names = [];
+
+      for ( var name in validators ) {
+        this.Validator.addValidator( name.toLowerCase(), validators[ name ] );
+        names.push( name.toLowerCase() );
+      }
+
+      for ( var item = 0; item < this.items.length; item++ ) {
+        this.items[ item ].addDataConstraints( names );
+      }
     }
 
     /**
@@ -1139,41 +3537,373 @@
     * @return {Boolean}
     */
     , removeItem: function ( elem ) {
-      var parsleyItem = $( elem ).parsley();
+      var element = $( elem ).get( 0 )
+        , index = -1
+        , parsleyItem
+        , i;
+
+      // identify item by its element first, Parsley data could have been removed from a detached element
+      for ( i = 0; i < this.items.length; i++ ) {
+        if ( 'undefined' !== typeof this.items[ i ] && element === this.items[ i ].$element.get( 0 ) ) {
+          index = i;
+          break;
+        }
+      }
 
-      // identify & remove item if same Parsley hash
-      for ( var i = 0; i < this.items.length; i++ ) {
-        if ( this.items[ i ].hash === parsleyItem.hash ) {
-          this.items[ i ].destroy();
-          this.items.splice( i, 1 );
-          return true;
+      // identify item if same Parsley hash
+      if ( -1 === index ) {
+        parsleyItem = $( elem ).parsley();
+
+        for ( i = 0; i < this.items.length; i++ ) {
+          if ( this.items[ i ].hash === parsleyItem.hash ) {
+            index = i;
+            break;
+          }
         }
       }
 
-      return false;
+      if ( -1 === index ) {
+        return false;
+      }
+
+      this.items[ index ].destroy();
+      this.items.splice( index, 1 );
+      this.bindDependencies();
+
+      return true;
+    }
+
+    /**
+    * Build fields dependency graph from constraints whose requirement is another field selector
+    * and bind change events on referenced fields to revalidate their dependents
+    *
+    * @private
+    * @method bindDependencies
+    */
+    , bindDependencies: function () {
+      var dependencies;
+
+      this.unbindDependencies();
+
+      for ( var item = 0; item < this.items.length; item++ ) {
+        dependencies = this.items[ item ].getDependencies();
+
+        for ( var i = 0; i < dependencies.length; i++ ) {
+          this.dependencies.push( { $element: dependencies[ i ], ParsleyField: this.items[ item ] } );
+
+          // bind referenced fields only once, even if several fields depend on them
+          dependencies[ i ]
+            .off( '.' + this.type + 'Dependency' )
+            .on( 'change.' + this.type + 'Dependency keyup.' + this.type + 'Dependency', false, $.proxy( this.validateDependents, this ) );
+        }
+      }
+    }
+
+    /**
+    * Unbind dependency graph events and empty it
+    *
+    * @private
+    * @method unbindDependencies
+    */
+    , unbindDependencies: function () {
+      for ( var i = 0; i < this.dependencies.length; i++ ) {
+        this.dependencies[ i ].$element.off( '.' + this.type + 'Dependency' );
+      }
+
+      this.dependencies = [];
+    }
+
+    /**
+    * Revalidate already validated fields depending on the changed field.
+    * Their errors are cleared if they are now valid
+    *
+    * @private
+    * @method validateDependents
+    * @param {Object} event jQuery event
+    */
+    , validateDependents: function ( event ) {
+      var dependents = this.getDependents( event.currentTarget );
+
+      for ( var i = 0; i < dependents.length; i++ ) {
+        if ( dependents[ i ].validatedOnce ) {
+          dependents[ i ].validate();
+        }
+      }
+    }
+
+    /**
+    * Returns fields depending on given field value
+    *
+    * @method getDependents
+    * @param {Object} elem
+    * @return {Array} ParsleyFields
+    */
+    , getDependents: function ( elem ) {
+      var dependents = [];
+
+      elem = $( elem ).get( 0 );
+
+      for ( var i = 0; i < this.dependencies.length; i++ ) {
+        if ( -1 !== $.inArray( elem, this.dependencies[ i ].$element.get() ) && -1 === $.inArray( this.dependencies[ i ].ParsleyField, dependents ) ) {
+          dependents.push( this.dependencies[ i ].ParsleyField );
+        }
+      }
+
+      return dependents;
     }
 
     /**
     * Process each form field validation
     * Display errors, call custom onFormSubmit() function
+    * If some async validators did not answer yet, form submission is hold until they do
     *
     * @method validate
-    * @param {Object} event jQuery Event
-    * @return {Boolean} Is form valid or not
+    * @param {Mixed} event jQuery Event, or {String} validation group name to validate only its fields,
+    *                or { detailed: true, group: group } to get a { valid: valid, errors: getErrors() } result
+    * @return {Mixed} Is form valid or not, or detailed result
     */
     , validate: function ( event ) {
-      var valid = true;
+      var valid = true
+        , pending = false
+        , group
+        , items;
+
+      if ( $.isPlainObject( event ) ) {
+        valid = this.validate( event.group );
+
+        return true === event.detailed ? { valid: valid, errors: this.getErrors( event.group ) } : valid;
+      }
+
+      if ( 'string' === typeof event ) {
+        group = event;
+        event = undefined;
+      }
+
+      items = this.getItems( group );
       this.focusedField = false;
+      this.failedGroups = [];
 
-      for ( var item = 0; item < this.items.length; item++ ) {
-        if ( 'undefined' !== typeof this.items[ item ] && false === this.items[ item ].validate() ) {
+      for ( var item = 0; item < items.length; item++ ) {
+        if ( 'undefined' === typeof items[ item ] ) {
+          continue;
+        }
+
+        if ( false === items[ item ].validate() ) {
           valid = false;
+          this.manageFocusedField( items[ item ] );
+          this.manageFailedGroup( items[ item ] );
+        } else if ( items[ item ].hasPendingConstraints() ) {
+          pending = true;
+        }
+      }
+
+      if ( valid && pending ) {
+        return this.deferValidation( event, group );
+      }
+
+      return this.manageValidationResult( valid, event );
+    }
+
+    /**
+    * Returns form fields, or only fields of given validation group
+    *
+    * @method getItems
+    * @param {String} group validation group name
+    * @return {Array} ParsleyFields
+    */
+    , getItems: function ( group ) {
+      var items = [];
+
+      if ( 'undefined' === typeof group ) {
+        return this.items;
+      }
+
+      for ( var item = 0; item < this.items.length; item++ ) {
+        if ( 'undefined' !== typeof this.items[ item ] && group + '' === this.items[ item ].getGroup() ) {
+          items.push( this.items[ item ] );
+        }
+      }
+
+      return items;
+    }
+
+    /**
+    * Wait for pending async validators, then process form validation result
+    * Form is submitted once valid if validation was triggered by a submit event
+    *
+    * @private
+    * @method deferValidation
+    * @param {Object} event jQuery Event
+    * @param {String} group validation group name
+    * @return {Boolean} false, form is never submitted right now
+    */
+    , deferValidation: function ( event, group ) {
+      var self = this
+        , items = this.getItems( group )
+        , promises = [];
+
+      if ( event && 'function' === typeof event.preventDefault ) {
+        event.preventDefault();
+      }
+
+      for ( var item = 0; item < items.length; item++ ) {
+        promises = promises.concat( items[ item ].getPendingPromises() );
+      }
+
+      whenAll( promises ).always( function () {
+        var valid = true;
+        self.focusedField = false;
+        self.failedGroups = [];
+
+        for ( var item = 0; item < items.length; item++ ) {
+          // a field has been revalidated meanwhile, wait for it too
+          if ( items[ item ].hasPendingConstraints() ) {
+            return self.deferValidation( event, group );
+          }
 
-          if ( !this.focusedField && 'first' === this.options.focus || 'last' === this.options.focus ) {
-            this.focusedField = this.items[ item ].$element;
+          if ( false === items[ item ].getConstraintsValidity() ) {
+            valid = false;
+            self.manageFocusedField( items[ item ] );
+            self.manageFailedGroup( items[ item ] );
           }
         }
+
+        if ( true === self.manageValidationResult( valid, event ) && valid && event && 'submit' === event.type ) {
+          self.submitForm();
+        }
+      } );
+
+      return false;
+    }
+
+    /**
+    * Validate form, including async validators, call custom onFormSubmit() function
+    * and really submit form if valid, without being validated once again by Parsley submit handler
+    *
+    * @method submit
+    */
+    , submit: function () {
+      if ( true === this.validate( $.Event( 'submit' ) ) ) {
+        this.submitForm();
+      }
+    }
+
+    /**
+    * Natively submit form. Native submit() does not fire submit event,
+    * so Parsley submit handler is bypassed. Clicked submit button name and value are sent in an hidden input
+    *
+    * @private
+    * @method submitForm
+    */
+    , submitForm: function () {
+      if ( !this.$element.is( 'form' ) ) {
+        return;
+      }
+
+      this.$element.find( 'input.parsley-submitter' ).remove();
+
+      if ( this.submitter && $( this.submitter ).attr( 'name' ) ) {
+        $( '<input type="hidden" class="parsley-submitter" />' )
+          .attr( { name: $( this.submitter ).attr( 'name' ), value: $( this.submitter ).val() } )
+          .appendTo( this.$element );
+      }
+
+      this.submitter = null;
+      this.$element.get( 0 ).submit();
+    }
+
+    /**
+    * Returns detailed errors of form fields, or only of given validation group fields, by field name
+    *
+    * @method getErrors
+    * @param {String} group validation group name
+    * @return {Object} { fieldName: [ { field: name, constraint: name, requirements: requirements, message: message, value: value } ] }
+    */
+    , getErrors: function ( group ) {
+      var items = this.getItems( group )
+        , errors = {}
+        , fieldErrors;
+
+      for ( var item = 0; item < items.length; item++ ) {
+        if ( 'undefined' === typeof items[ item ] ) {
+          continue;
+        }
+
+        fieldErrors = items[ item ].getErrors();
+
+        // radio / checkboxes of a same group share the same errors, list them once
+        if ( fieldErrors.length && 'undefined' === typeof errors[ items[ item ].getFieldName() ] ) {
+          errors[ items[ item ].getFieldName() ] = fieldErrors;
+        }
+      }
+
+      return errors;
+    }
+
+    /**
+    * Display server side errors on fields, mapped by their name (or id)
+    * Each field errors are cleared on its next edit
+    *
+    * @method setServerErrors
+    * @param {Object} errors { fieldName: [ "message", .. ] }
+    */
+    , setServerErrors: function ( errors ) {
+      var hashes = [];
+
+      for ( var item = 0; item < this.items.length; item++ ) {
+        // radio / checkboxes of a same group share the same errors, show them once
+        if ( 'undefined' === typeof this.items[ item ] || -1 !== $.inArray( this.items[ item ].hash, hashes ) ) {
+          continue;
+        }
+
+        if ( 'undefined' !== typeof errors[ this.items[ item ].getFieldName() ] ) {
+          hashes.push( this.items[ item ].hash );
+          this.items[ item ].setServerErrors( errors[ this.items[ item ].getFieldName() ] );
+        }
+      }
+
+      this.manageErrorSummary();
+    }
+
+    /**
+    * Select which invalid field will have focus, depending on focus policy
+    *
+    * @private
+    * @method manageFocusedField
+    * @param {Object} ParsleyField invalid field
+    */
+    , manageFocusedField: function ( ParsleyField ) {
+      if ( !this.focusedField && 'first' === this.options.focus || 'last' === this.options.focus ) {
+        this.focusedField = ParsleyField.$element;
+      }
+    }
+
+    /**
+    * Store invalid field validation group, given to onFormSubmit()
+    *
+    * @private
+    * @method manageFailedGroup
+    * @param {Object} ParsleyField invalid field
+    */
+    , manageFailedGroup: function ( ParsleyField ) {
+      var group = ParsleyField.getGroup();
+
+      if ( 'undefined' !== typeof group && -1 === $.inArray( group, this.failedGroups ) ) {
+        this.failedGroups.push( group );
       }
+    }
+
+    /**
+    * Display errors summary, focus an invalid field and call custom onFormSubmit() function
+    *
+    * @private
+    * @method manageValidationResult
+    * @param {Boolean} valid Is form valid or not
+    * @param {Object} event jQuery Event
+    * @return {Boolean} Is form valid or not, or onFormSubmit() result
+    */
+    , manageValidationResult: function ( valid, event ) {
+      this.manageErrorSummary();
 
       // form is invalid, focus an error field depending on focus policy
       if ( this.focusedField && !valid ) {
@@ -1197,7 +3927,7 @@
       }
 
       // if onFormSubmit returns (bool) false, form won't be submitted, even if valid
-      var onFormSubmit = this.options.listeners.onFormSubmit( valid, event, this );
+      var onFormSubmit = this.options.listeners.onFormSubmit( valid, event, this, this.failedGroups );
       if ('undefined' !== typeof onFormSubmit) {
         return onFormSubmit;
       }
@@ -1205,9 +3935,43 @@
       return valid;
     }
 
-    , isValid: function () {
-      for ( var item = 0; item < this.items.length; item++ ) {
-        if ( false === this.items[ item ].isValid() ) {
+    /**
+    * Validate form, or only given validation group, and wait for its fields async validators results.
+    * Needs jQuery, Zepto has no $.Deferred
+    *
+    * @method whenValid
+    * @param {String} group validation group name
+    * @return {Object} jQuery promise, resolved if form is valid, rejected otherwise
+    */
+    , whenValid: function ( group ) {
+      var self = this
+        , deferred = getDeferred()
+        , items = this.getItems( group )
+        , promises = [];
+
+      for ( var item = 0; item < items.length; item++ ) {
+        promises.push( items[ item ].whenValid() );
+      }
+
+      whenAll( promises )
+        .done( function () { deferred.resolve( self ); } )
+        .fail( function () { deferred.reject( self ); } );
+
+      return deferred.promise();
+    }
+
+    /**
+    * Return if form, or given validation group fields, verify their constraints, without displaying errors
+    *
+    * @method isValid
+    * @param {String} group validation group name
+    * @return {Boolean}
+    */
+    , isValid: function ( group ) {
+      var items = this.getItems( group );
+
+      for ( var item = 0; item < items.length; item++ ) {
+        if ( false === items[ item ].isValid() ) {
           return false;
         }
       }
@@ -1215,6 +3979,92 @@
       return true;
     }
 
+    /**
+    * Display or refresh errors summary, listing every invalid field label and error messages
+    * Shown only if an errors.summaryContainer or data-error-summary is given
+    *
+    * @method manageErrorSummary
+    */
+    , manageErrorSummary: function () {
+      var summaryContainer = this.options.errorSummary || this.options.errors.summaryContainer( this.$element.get( 0 ) )
+        , hashes = []
+        , messages;
+
+      if ( 'undefined' === typeof summaryContainer || !this.options.showErrors ) {
+        return;
+      }
+
+      this.errorSummaryShown = true;
+      this.$errorSummary = this.$errorSummary || $( this.options.errors.errorsWrapper ).addClass( 'parsley-error-summary' );
+      this.$errorSummary.empty();
+
+      for ( var item = 0; item < this.items.length; item++ ) {
+        // radio / checkboxes of a same group share the same hash, list them once
+        if ( -1 !== $.inArray( this.items[ item ].hash, hashes ) ) {
+          continue;
+        }
+
+        messages = this.items[ item ].getErrorsMessages();
+
+        if ( messages.length ) {
+          hashes.push( this.items[ item ].hash );
+          this.$errorSummary.append( this.getErrorSummaryItem( this.items[ item ], messages ) );
+        }
+      }
+
+      this.$errorSummary.children().length ? $( summaryContainer ).append( this.$errorSummary ) : this.$errorSummary.remove();
+    }
+
+    /**
+    * Refresh errors summary if already shown by a form validation
+    *
+    * @method updateErrorSummary
+    */
+    , updateErrorSummary: function () {
+      if ( this.errorSummaryShown ) {
+        this.manageErrorSummary();
+      }
+    }
+
+    /**
+    * Remove errors summary
+    *
+    * @method removeErrorSummary
+    */
+    , removeErrorSummary: function () {
+      this.errorSummaryShown = false;
+
+      if ( this.$errorSummary ) {
+        this.$errorSummary.remove();
+      }
+    }
+
+    /**
+    * Build an errors summary entry, with a link focusing the invalid field
+    *
+    * @private
+    * @method getErrorSummaryItem
+    * @param {Object} ParsleyField
+    * @param {Array} messages
+    * @return {Object} jQuery summary entry
+    */
+    , getErrorSummaryItem: function ( ParsleyField, messages ) {
+      var link = $( '<a></a>' )
+          .attr( 'href', '#' + ( ParsleyField.$element.attr( 'id' ) || '' ) )
+          .text( ParsleyField.getLabel() )
+          .on( 'click', function ( event ) {
+            event.preventDefault();
+            ParsleyField.$element.focus();
+          } )
+        , summaryItem = $( this.options.errors.errorElem ).addClass( ParsleyField.hash ).append( link );
+
+      for ( var i = 0; i < messages.length; i++ ) {
+        summaryItem.append( ' ' ).append( $( '<span></span>' ).html( messages[ i ] ) );
+      }
+
+      return summaryItem;
+    }
+
     /**
     * Remove all errors ul under invalid fields
     *
@@ -1226,6 +4076,22 @@
       }
     }
 
+    /**
+    * Change form locale and its fields one, except fields having their own data-locale, and re-render their displayed errors
+    *
+    * @method setLocale
+    * @param {String} locale eg: 'fr'. false to use Parsley default locale
+    */
+    , setLocale: function ( locale ) {
+      this.options.locale = locale;
+
+      for ( var item = 0; item < this.items.length; item++ ) {
+        if ( !this.items[ item ].$element.data( 'locale' ) ) {
+          this.items[ item ].setLocale( locale );
+        }
+      }
+    }
+
     /**
     * destroy Parsley binded on the form and its fields
     *
@@ -1236,17 +4102,35 @@
         this.items[ item ].destroy();
       }
 
+      if ( this.observer ) {
+        this.observer.disconnect();
+      }
+
+      if ( -1 !== $.inArray( this, instances ) ) {
+        instances.splice( $.inArray( this, instances ), 1 );
+      }
+
+      this.unbindDependencies();
+      this.removeErrorSummary();
       this.$element.off( '.' + this.type ).removeData( this.type );
     }
 
     /**
-    * reset Parsley binded on the form and its fields
+    * reset Parsley binded on the form and its fields, or only given validation group fields
     *
     * @method reset
+    * @param {String} group validation group name
     */
-    , reset: function () {
-      for ( var item = 0; item < this.items.length; item++ ) {
-        this.items[ item ].reset();
+    , reset: function ( group ) {
+      var items = this.getItems( group );
+
+      for ( var item = 0; item < items.length; item++ ) {
+        items[ item ].reset();
+      }
+
+      // fields reset already kept errors summary in sync
+      if ( 'undefined' === typeof group ) {
+        this.removeErrorSummary();
       }
     }
   };
@@ -1285,6 +4169,7 @@
         }
 
         $( self ).data( type, parsleyInstance );
+        instances.push( parsleyInstance );
       }
 
       // here is our parsley public function accessor
@@ -1311,6 +4196,18 @@
   };
 
   $.fn.parsley.Constructor = ParsleyForm;
+  $.fn.parsley.Renderer = ParsleyRenderer;
+
+  /**
+  * Renderers selectable with errorDisplay option, eg data-error-display="tooltip"
+  *
+  * @property $.fn.parsley.renderers
+  * @type {Object}
+  */
+  $.fn.parsley.renderers = {
+    list: ParsleyRenderer
+    , tooltip: ParsleyTooltipRenderer
+  };
 
   /**
   * Parsley plugin configuration
@@ -1321,7 +4218,7 @@
   $.fn.parsley.defaults = {
     // basic data-api overridable properties here..
     inputs: 'input, textarea, select'           // Default supported inputs.
-    , excluded: 'input[type=hidden], input[type=file], :disabled' // Do not validate input[type=hidden] & :disabled.
+    , excluded: 'input[type=hidden], :disabled' // Do not validate input[type=hidden] & :disabled.
     , trigger: false                            // $.Event() that will trigger validation. eg: keyup, change..
     , animate: true                             // fade in / fade out error messages
     , animateDuration: 300                      // fadein/fadout ms time
@@ -1330,22 +4227,51 @@
     , validationMinlength: 3                    // If trigger validation specified, only if value.length > validationMinlength
     , successClass: 'parsley-success'           // Class name on each valid input
     , errorClass: 'parsley-error'               // Class name on each invalid input
+    , pendingClass: 'parsley-pending'           // Class name on each input waiting for a remote validator answer
+    , remoteDebounce: 0                         // ms to wait after last validation trigger before querying remote validator
+    , remoteCacheTtl: 0                         // ms remote validator answers are cached, for each field value. 0: no cache
+    , remoteFields: false                       // selector of other fields whose values are sent along remote validator request
+    , remoteData: false                         // extra request data object, or function ( data, ParsleyField ) returning request data
+    , remoteJson: false                         // true: send remote validator request data as a JSON body
+    , remoteOptions: {}                         // extra $.ajax() settings, eg: { headers: { 'X-CSRF-Token': token } }
+    , remoteAdapter: false                      // function ( response, isSuccess, ParsleyField ) returning { valid: bool, message: 'message' }
     , errorMessage: false                       // Customize an unique error message showed if one constraint fails
     , validators: {}                            // Add your custom validators functions
+    , asyncValidators: {}                       // Add your named async validators, eg: { usernameAvailable: { url: '/check', message: 'Taken.' } }
     , showErrors: true                          // Set to false if you don't want Parsley to display error messages
+    , errorDisplay: 'list'                      // 'list': errors ul after field, 'tooltip': first error in a tooltip. See $.fn.parsley.renderers
     , messages: {}                              // Add your own error messages here
+    , requirementsNames: {}                     // Name your validators requirements to use them in messages, eg: { multiple: [ 'multiple' ] }
+    , pluralRule: false                         // function ( count ) returning messages plural category: 'one', 'few', 'many', 'other'..
+    , locale: false                             // Messages catalog locale, eg: 'fr'. false: Parsley default locale, see Parsley.setLocale()
+    , numberDecimal: false                      // Numbers decimal separator, eg: ','. false: locale one, or '.'
+    , numberGrouping: false                     // Numbers thousands separator, eg: '.'. false: locale one, or ','
+    , dateFormat: 'YYYY-MM-DD'                  // Dates format used by date validators if data-date does not give one, eg: 'DD/MM/YYYY'
 
     //some quite advanced configuration here..
     , validateIfUnchanged: false                                          // false: validate once by field value change
+    , observe: false                                                      // true: automatically add / remove fields inserted / removed in form. Needs MutationObserver
+    , aria: true                                                          // set aria-invalid and aria-describedby on fields, role="alert" on errors lists
+    , priorityEnabled: false                                              // true: apply constraints by priority, stop on first failing one and only show its error
+    , stopOnFirstFailure: false                                           // alias of priorityEnabled
+    , priorities: {}                                                      // validators priorities, eg: { remote: -1, multiple: 64 }, see Validator priorities
+    , customValidity: false                                               // true: mirror fields validation result with setCustomValidity(), see :invalid and form.checkValidity()
+    , telAsPhone: false                                                   // true: validate type="tel" inputs with phone type, US like numbers only
+    , renderer: false                                                     // function ( ParsleyField ) constructor of errors and classes display, see $.fn.parsley.Renderer
+    , dependentValidators: {                                              // validators whose requirement is another field selector
+        equalto: true                                                     // dependent fields are revalidated when referenced field changes
+      }
     , errors: {
         classHandler: function ( elem, isRadioOrCheckbox ) {}             // specify where parsley error-success classes are set
       , container: function ( elem, isRadioOrCheckbox ) {}                // specify an elem where errors will be **apened**
+      , summaryContainer: function ( elem ) {}                            // specify an elem where form errors summary will be **apened**
       , errorsWrapper: '<ul></ul>'                                        // do not set an id for this elem, it would have an auto-generated id
       , errorElem: '<li></li>'                                            // each field constraint fail in an li
+      , tooltipWrapper: '<div></div>'                                     // errorDisplay: 'tooltip' elem, appended to body
       }
     , listeners: {
         onFieldValidate: function ( elem, ParsleyForm ) { return false; } // Executed on validation. Return true to ignore field validation
-      , onFormSubmit: function ( isFormValid, event, ParsleyForm ) {}     // Executed once on form validation. Return (bool) false to block submit, even if valid
+      , onFormSubmit: function ( isFormValid, event, ParsleyForm, failedGroups ) {} // Executed once on form validation. Return (bool) false to block submit, even if valid
       , onFieldError: function ( elem, constraints, ParsleyField ) {}     // Executed when a field is detected as invalid
       , onFieldSuccess: function ( elem, constraints, ParsleyField ) {}   // Executed when a field passes validation
     }
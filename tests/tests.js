@@ -63,6 +63,16 @@ $( '#validator-tests' ).parsley( {
   }
 } );
 
+var asyncDeferred;
+$( '#async-form' ).parsley( {
+  validators: {
+    asyncvalidator: function () {
+      asyncDeferred = $.Deferred();
+      return asyncDeferred.promise();
+    }
+  }
+} );
+
 $( '#onFieldValidate-form' ).parsley( { listeners: {
   onFieldValidate: function ( elem ) {
     if ( $( elem ).val() === "foo" || $( elem ).val() === "bar" ) {
@@ -316,6 +326,314 @@ var testSuite = function () {
         triggerSubmitValidation( '#range', '8' );
         expect( $( '#range' ).hasClass( 'parsley-success' ) ).to.be( true );
       } )
+      it ( 'number, min, max and range with localized numbers', function () {
+        triggerSubmitValidation( '#typenumber-localized', '1,234.56' );
+        expect( $( '#typenumber-localized' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#typenumber-localized', '-1.234,56' );
+        expect( $( '#typenumber-localized' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        triggerSubmitValidation( '#range-localized', '2.000,5' );
+        expect( $( '#range-localized' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#range-localized', '1.234,5' );
+        expect( $( '#range-localized' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        // number format given by field locale catalog
+        Parsley.addCatalog( 'de', {}, { numberFormat: { decimal: ',', grouping: '.' } } );
+        triggerSubmitValidation( '#min-locale', '1.500' );
+        expect( $( '#min-locale' ).hasClass( 'parsley-success' ) ).to.be( true );
+        triggerSubmitValidation( '#min-locale', '999,9' );
+        expect( $( '#min-locale' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( $( '#min' ).parsley().parseNumber( '1.500' ) ).to.be( 1.5 );
+      } )
+      it ( 'date with format', function () {
+        triggerSubmitValidation( '#date', '31/02/2013' );
+        expect( $( '#date' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#date', 'date') ).to.be( 'This value should be a valid date (DD/MM/YYYY).' );
+        triggerSubmitValidation( '#date', '29/02/2012' );
+        expect( $( '#date' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        triggerSubmitValidation( '#date-time', '24:00' );
+        expect( $( '#date-time' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#date-time', '23:59' );
+        expect( $( '#date-time' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        triggerSubmitValidation( '#typedateIso', '2013-02-31' );
+        expect( $( '#typedateIso' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#typedateIso', '2012-02-29' );
+        expect( $( '#typedateIso' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'mindate, maxdate and daterange', function () {
+        var pad = function ( number ) { return number < 10 ? '0' + number : '' + number; }
+          , now = new Date()
+          , yesterday = new Date( now.getFullYear(), now.getMonth(), now.getDate() - 1 )
+          , seventeenYearsAgo = new Date( now.getFullYear() - 17, now.getMonth(), now.getDate() );
+
+        triggerSubmitValidation( '#mindate', pad( yesterday.getDate() ) + '/' + pad( yesterday.getMonth() + 1 ) + '/' + yesterday.getFullYear() );
+        expect( $( '#mindate' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#mindate', 'mindate') ).to.be( 'This date should be equal to or after ' + pad( now.getDate() ) + '/' + pad( now.getMonth() + 1 ) + '/' + now.getFullYear() + '.' );
+        triggerSubmitValidation( '#mindate', pad( now.getDate() ) + '/' + pad( now.getMonth() + 1 ) + '/' + now.getFullYear() );
+        expect( $( '#mindate' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        triggerSubmitValidation( '#maxdate-age', seventeenYearsAgo.getFullYear() + '-' + pad( seventeenYearsAgo.getMonth() + 1 ) + '-' + pad( seventeenYearsAgo.getDate() ) );
+        expect( $( '#maxdate-age' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#maxdate-age', '1970-01-01' );
+        expect( $( '#maxdate-age' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        triggerSubmitValidation( '#daterange', '2014-01-01' );
+        expect( $( '#daterange' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#daterange', 'daterange') ).to.be( 'This date should be between 2013-01-01 and 2013-12-31.' );
+        triggerSubmitValidation( '#daterange', '2013-06-15' );
+        expect( $( '#daterange' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'date and time html5 types min and max', function () {
+        triggerSubmitValidation( '#date-html5', '2014-01-01' );
+        expect( $( '#date-html5' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#date-html5', '2013-06-15' );
+        expect( $( '#date-html5' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        triggerSubmitValidation( '#time-html5', '07:59' );
+        expect( $( '#time-html5' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#time-html5', '12:00' );
+        expect( $( '#time-html5' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        // seconds are written only if step is not minutes
+        expect( $( '#time-html5' ).parsley().options.date ).to.be( 'HH:mm' );
+        triggerSubmitValidation( '#time-html5-seconds', '12:00:30' );
+        expect( $( '#time-html5-seconds' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'month and week html5 types', function () {
+        triggerSubmitValidation( '#month-html5', '2013-02' );
+        expect( $( '#month-html5' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#month-html5', 'mindate' ) ).to.be( 'This date should be equal to or after 2013-03.' );
+        triggerSubmitValidation( '#month-html5', '2013-03' );
+        expect( $( '#month-html5' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        // 2013-W10 starts on Monday March 4th, 2013-W01 on Monday December 31st 2012
+        triggerSubmitValidation( '#week-html5', '2013-W11' );
+        expect( $( '#week-html5' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#week-html5', 'maxdate' ) ).to.be( 'This date should be equal to or before 2013-W10.' );
+        triggerSubmitValidation( '#week-html5', '2013-W01' );
+        expect( $( '#week-html5' ).hasClass( 'parsley-success' ) ).to.be( true );
+        expect( $( '#week-html5' ).parsley( 'parseDate', '2013-W01' ).getDate() ).to.be( 31 );
+        expect( $( '#week-html5' ).parsley( 'formatDate', new Date( 2012, 11, 31 ) ) ).to.be( '2013-W01' );
+        expect( $( '#week-html5' ).parsley( 'parseDate', '2015-W53' ) ).not.to.be( null );
+        expect( $( '#week-html5' ).parsley( 'parseDate', '2013-W53' ) ).to.be( null );
+      } )
+      it ( 'step', function () {
+        triggerSubmitValidation( '#step', '12' );
+        expect( $( '#step' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#step', 'step' ) ).to.be( 'This value should be a multiple of 5.' );
+        triggerSubmitValidation( '#step', '15' );
+        expect( $( '#step' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'step html5 attribute, counted from min', function () {
+        triggerSubmitValidation( '#step-html5', '2.2' );
+        expect( $( '#step-html5' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#step-html5', '2.5' );
+        expect( $( '#step-html5' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'tel html5 type', function () {
+        triggerSubmitValidation( '#tel-html5', 'foo' );
+        expect( $( '#tel-html5' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#tel-html5', 'type' ) ).to.be( 'This value should be a valid phone number.' );
+        triggerSubmitValidation( '#tel-html5', '0123456789' );
+        expect( $( '#tel-html5' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        // not mapped to phone type by default
+        triggerSubmitValidation( '#tel-html5-international', '+44 20 7946 0958' );
+        expect( $( '#tel-html5-international' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'email html5 type with multiple attribute', function () {
+        triggerSubmitValidation( '#email-multiple-html5', 'foo@bar.baz, foo' );
+        expect( $( '#email-multiple-html5' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#email-multiple-html5', 'foo@bar.baz, bar@foo.baz' );
+        expect( $( '#email-multiple-html5' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'minlength and maxlength html5 attributes', function () {
+        triggerSubmitValidation( '#minlength-html5', 'fo' );
+        expect( $( '#minlength-html5' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#minlength-html5', 'foobar' );
+        expect( $( '#minlength-html5' ).hasClass( 'parsley-error' ) ).to.be( true );
+        triggerSubmitValidation( '#minlength-html5', 'foo' );
+        expect( $( '#minlength-html5' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'accept', function () {
+        triggerSubmitValidation( '#accept', 'foo.doc' );
+        expect( $( '#accept' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#accept', 'accept' ) ).to.be( 'This file should be of type .pdf, image/*.' );
+        triggerSubmitValidation( '#accept', 'foo.PDF' );
+        expect( $( '#accept' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'accept html5 attribute on file inputs', function () {
+        expect( $( '#accept-html5' ).parsley().options.accept ).to.be( 'image/png, .pdf' );
+      } )
+      it ( 'mirror validation result with setCustomValidity()', function () {
+        triggerSubmitValidation( '#custom-validity', '' );
+        expect( $( '#custom-validity' ).get( 0 ).validationMessage ).to.be( 'This value is required.' );
+        triggerSubmitValidation( '#custom-validity', 'foo' );
+        expect( $( '#custom-validity' ).get( 0 ).checkValidity() ).to.be( false );
+        expect( $( '#custom-validity' ).get( 0 ).validationMessage ).to.be( 'This value should be a valid email.' );
+        triggerSubmitValidation( '#custom-validity', 'foo@bar.baz' );
+        expect( $( '#custom-validity' ).get( 0 ).checkValidity() ).to.be( true );
+        triggerSubmitValidation( '#custom-validity', 'foo' );
+        $( '#custom-validity' ).parsley( 'reset' );
+        expect( $( '#custom-validity' ).get( 0 ).checkValidity() ).to.be( true );
+      } )
+      it ( 'aria attributes', function () {
+        var hash = $( '#aria' ).parsley( 'getHash' );
+
+        triggerSubmitValidation( '#aria', '' );
+        expect( $( '#aria' ).attr( 'aria-invalid' ) ).to.be( 'true' );
+        expect( $( '#aria' ).attr( 'aria-describedby' ) ).to.be( 'aria-help ' + hash );
+        expect( $( '#' + hash ).attr( 'role' ) ).to.be( 'alert' );
+        expect( $( '#' + hash ).attr( 'aria-live' ) ).to.be( 'assertive' );
+
+        triggerSubmitValidation( '#aria', 'foo' );
+        expect( $( '#aria' ).attr( 'aria-invalid' ) ).to.be( 'false' );
+        expect( $( '#aria' ).attr( 'aria-describedby' ) ).to.be( 'aria-help' );
+
+        triggerSubmitValidation( '#aria', '' );
+        $( '#aria' ).parsley( 'reset' );
+        expect( $( '#aria' ).get( 0 ).hasAttribute( 'aria-invalid' ) ).to.be( false );
+        expect( $( '#aria' ).attr( 'aria-describedby' ) ).to.be( 'aria-help' );
+      } )
+      it ( 'file inputs', function () {
+        expect( $( '#file-required' ).parsley( 'getVal' ) ).to.be( '' );
+        expect( $( '#file-required' ).parsley( 'validate' ) ).to.be( false );
+        expect( getErrorMessage( '#file-required', 'required' ) ).to.be( 'This value is required.' );
+        $( '#file-required' ).data( 'value', [ { name: 'foo.png', size: 2048, type: 'image/png' } ] );
+        expect( $( '#file-required' ).parsley( 'validate' ) ).to.be( true );
+        $( '#file-required' ).removeData( 'value' );
+      } )
+      it ( 'maxfilesize', function () {
+        $( '#file-size' ).data( 'value', [ { name: 'foo.png', size: 2048, type: 'image/png' } ] );
+        expect( $( '#file-size' ).parsley( 'validate' ) ).to.be( false );
+        expect( getErrorMessage( '#file-size', 'maxfilesize' ) ).to.be( 'This file is too big. It should not exceed 1 KB.' );
+        $( '#file-size' ).data( 'value', [ { name: 'foo.png', size: 1024, type: 'image/png' } ] );
+        expect( $( '#file-size' ).parsley( 'validate' ) ).to.be( true );
+        $( '#file-size' ).removeData( 'value' );
+      } )
+      it ( 'minfiles and maxfiles', function () {
+        var file = { name: 'foo.pdf', size: 1024, type: 'application/pdf' };
+
+        $( '#file-count' ).data( 'value', [ file ] );
+        expect( $( '#file-count' ).parsley( 'validate' ) ).to.be( false );
+        expect( getErrorMessage( '#file-count', 'minfiles' ) ).to.be( 'You must select at least 2 files.' );
+        $( '#file-count' ).data( 'value', [ file, file, file, file ] );
+        expect( $( '#file-count' ).parsley( 'validate' ) ).to.be( false );
+        expect( getErrorMessage( '#file-count', 'maxfiles' ) ).to.be( 'You must select 3 files or less.' );
+        $( '#file-count' ).data( 'value', [ file, file ] );
+        expect( $( '#file-count' ).parsley( 'validate' ) ).to.be( true );
+        $( '#file-count' ).removeData( 'value' );
+      } )
+
+      // Zepto does not provide Deferred objects, images dimensions are checked with jQuery only
+      if ( 'function' === typeof $.Deferred ) {
+        it ( 'imagemin and imagemax', function () {
+          var FileReader = window.FileReader
+            , Image = window.Image
+            , size = [ 50, 50 ];
+
+          window.FileReader = function () {
+            this.readAsDataURL = function () {
+              this.result = 'data:image/png;base64,';
+              this.onload();
+            };
+          };
+          window.Image = function () {
+            var image = this;
+
+            Object.defineProperty( this, 'src', { set: function () {
+              image.width = size[ 0 ];
+              image.height = size[ 1 ];
+              image.onload();
+            } } );
+          };
+
+          // restore stubbed globals even if an assertion fails, not to break next suites
+          try {
+            $( '#file-image' ).data( 'value', [ { name: 'foo.png', size: 1024, type: 'image/png' } ] );
+            $( '#file-image' ).parsley( 'validate' );
+            expect( getErrorMessage( '#file-image', 'imagemin' ) ).to.be( 'This image is too small. It should be at least 100x100 pixels.' );
+            // value must change to be validated again
+            size = [ 2048, 1024 ];
+            $( '#file-image' ).data( 'value', [ { name: 'bar.png', size: 1024, type: 'image/png' } ] );
+            $( '#file-image' ).parsley( 'validate' );
+            expect( getErrorMessage( '#file-image', 'imagemax' ) ).to.be( 'This image is too big. It should be at most 1920x1080 pixels.' );
+            size = [ 800, 600 ];
+            $( '#file-image' ).data( 'value', [ { name: 'baz.png', size: 1024, type: 'image/png' } ] );
+            $( '#file-image' ).parsley( 'validate' );
+            expect( $( '#file-image' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+            // other files are not read
+            $( '#file-image' ).data( 'value', [ { name: 'foo.pdf', size: 1024, type: 'application/pdf' } ] );
+            size = [ 1, 1 ];
+            expect( $( '#file-image' ).parsley( 'validate' ) ).to.be( true );
+          } finally {
+            window.FileReader = FileReader;
+            window.Image = Image;
+            $( '#file-image' ).removeData( 'value' );
+          }
+        } )
+      }
+      it ( 'constraints are applied and their errors shown by priority', function () {
+        triggerSubmitValidation( '#priority-order', 'foo' );
+        expect( $( '#' + $( '#priority-order' ).parsley( 'getHash' ) + ' li' ).length ).to.be( 2 );
+        expect( $( '#' + $( '#priority-order' ).parsley( 'getHash' ) + ' li' ).eq( 0 ).hasClass( 'type' ) ).to.be( true );
+        expect( $( '#priority-order' ).parsley().Validator.getPriority( 'type' ) ).to.be( 256 );
+        expect( $( '#priority-order' ).parsley().Validator.getPriority( 'minlength' ) ).to.be( 32 );
+      } )
+      it ( 'priorityEnabled: stop on first failure', function () {
+        triggerSubmitValidation( '#priority-enabled', 'foo' );
+        expect( $( '#' + $( '#priority-enabled' ).parsley( 'getHash' ) + ' li' ).length ).to.be( 1 );
+        expect( getErrorMessage( '#priority-enabled', 'type' ) ).to.be( 'This value should be a valid email.' );
+        triggerSubmitValidation( '#priority-enabled', 'foo@bar.baz' );
+        expect( $( '#' + $( '#priority-enabled' ).parsley( 'getHash' ) + ' li' ).length ).to.be( 1 );
+        expect( getErrorMessage( '#priority-enabled', 'minlength' ) ).to.be( 'This value is too short. It should have 20 characters or more.' );
+        triggerSubmitValidation( '#priority-enabled', 'foobarbaz@foobarbaz.baz' );
+        expect( $( '#priority-enabled' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'stopOnFirstFailure: remote validator is not queried if cheaper constraints fail', function () {
+        sinon.stub( $, 'ajax' );
+        triggerSubmitValidation( '#priority-remote', 'foo' );
+        expect( $.ajax.called ).to.be( false );
+        triggerSubmitValidation( '#priority-remote', 'foo@bar.baz' );
+        expect( $.ajax.called ).to.be( true );
+        $.ajax.restore();
+      } )
+      it ( 'field scoped messages', function () {
+        triggerSubmitValidation( '#field-message1', 'foo' );
+        triggerSubmitValidation( '#field-message2', 'foo' );
+        expect( getErrorMessage( '#field-message1', 'minlength' ) ).to.be( 'Too short, 6 characters minimum.' );
+        expect( getErrorMessage( '#field-message2', 'minlength' ) ).to.be( 'This value is too short. It should have 6 characters or more.' );
+
+        $( '#field-message2' ).parsley( 'setMessage', { minlength: 'At least {min} characters.' } );
+        expect( getErrorMessage( '#field-message2', 'minlength' ) ).to.be( 'At least 6 characters.' );
+        expect( getErrorMessage( '#field-message1', 'minlength' ) ).to.be( 'Too short, 6 characters minimum.' );
+        expect( $( '#minlength' ).parsley().getErrorMessage( { name: 'minlength', requirements: 6 } ) ).to.be( 'This value is too short. It should have 6 characters or more.' );
+      } )
+      it ( 'field scoped messages of multi-word validators', function () {
+        $( '#validator-tests' ).parsley( 'addValidator', {
+          evenNumber: function ( val ) {
+            return 0 === val % 2;
+          }
+        } );
+
+        triggerSubmitValidation( '#field-message3', '3' );
+        expect( getErrorMessage( '#field-message3', 'evennumber' ) ).to.be( 'Not an even number.' );
+      } )
+      it ( 'validity, consuming browser native validity flags', function () {
+        triggerSubmitValidation( '#validity', 'foo' );
+        expect( $( '#validity' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#validity', 'validity' ) ).to.be( 'This value seems to be invalid.' );
+        triggerSubmitValidation( '#validity', 'foo@bar.baz' );
+        expect( $( '#validity' ).hasClass( 'parsley-success' ) ).to.be( true );
+
+        // only listed flags are consumed
+        triggerSubmitValidation( '#validity-flags', '11' );
+        expect( $( '#validity-flags' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( $( '#validity-flags' ).parsley( 'getErrors' ).length ).to.be( 1 );
+      } )
       it ( 'regexp', function () {
         triggerSubmitValidation( '#regexp', 'foo' );
         expect( $( '#regexp' ).hasClass( 'parsley-error' ) ).to.be( true );
@@ -588,6 +906,127 @@ var testSuite = function () {
             $.ajax.restore();
           } );
         } )
+        describe ( 'Test remote requests management', function () {
+          var requests;
+
+          beforeEach( function () {
+            requests = [];
+            sinon.stub( $, "ajax", function ( settings ) {
+              var xhr = { abort: sinon.spy() };
+              requests.push( { settings: settings, xhr: xhr } );
+              return xhr;
+            } );
+          } )
+
+          it ( 'Test superseded request is aborted and its answer ignored', function () {
+            $( '#remote3' ).val( 'foo' ).parsley( 'validate' );
+            expect( $( '#remote3' ).hasClass( 'parsley-pending' ) ).to.be( true );
+            $( '#remote3' ).val( 'bar' ).parsley( 'validate' );
+            expect( requests.length ).to.be( 2 );
+            expect( requests[ 0 ].xhr.abort.calledOnce ).to.be( true );
+
+            requests[ 1 ].settings.success( 'false' );
+            requests[ 0 ].settings.success( 'true' );
+            expect( $( '#remote3' ).hasClass( 'parsley-pending' ) ).to.be( false );
+            expect( $( '#remote3' ).hasClass( 'parsley-error' ) ).to.be( true );
+          } )
+          it ( 'Test superseded request promise is settled with newer request answer', function () {
+            var superseded;
+
+            // Zepto does not provide Deferred objects, remote validator has no promise
+            if ( 'function' !== typeof $.Deferred ) {
+              return;
+            }
+
+            $( '#remote3' ).val( 'baz' ).parsley( 'validate' );
+            superseded = $( '#remote3' ).parsley().getPendingPromises()[ 0 ];
+            $( '#remote3' ).val( 'qux' ).parsley( 'validate' );
+            expect( superseded.state() ).to.be( 'pending' );
+
+            requests[ 1 ].settings.success( 'true' );
+            expect( superseded.state() ).to.be( 'resolved' );
+          } )
+          it ( 'Test answers are cached for each value', function () {
+            $( '#remote4' ).val( 'foo' ).parsley( 'validate' );
+            requests[ 0 ].settings.success( 'true' );
+            $( '#remote4' ).val( 'bar' ).parsley( 'validate' );
+            requests[ 1 ].settings.success( 'false' );
+            expect( $( '#remote4' ).hasClass( 'parsley-error' ) ).to.be( true );
+
+            $( '#remote4' ).val( 'foo' ).parsley( 'validate' );
+            expect( requests.length ).to.be( 2 );
+            expect( $( '#remote4' ).hasClass( 'parsley-success' ) ).to.be( true );
+          } )
+          it ( 'Test requests are debounced', function () {
+            var clock = sinon.useFakeTimers();
+
+            $( '#remote5' ).val( 'foo' ).parsley( 'validate' );
+            $( '#remote5' ).val( 'foob' ).parsley( 'validate' );
+            $( '#remote5' ).val( 'fooba' ).parsley( 'validate' );
+            expect( requests.length ).to.be( 0 );
+            expect( $( '#remote5' ).hasClass( 'parsley-pending' ) ).to.be( true );
+
+            clock.tick( 60 );
+            clock.restore();
+            expect( requests.length ).to.be( 1 );
+            expect( requests[ 0 ].settings.data ).to.eql( { remote5: 'fooba' } );
+          } )
+          it ( 'Test custom payload, headers, JSON body and response adapter', function () {
+            var settings;
+
+            $( '#remote-form' ).parsley( {
+                remoteJson: true
+              , remoteData: function ( data ) { data.extra = 'baz'; return data; }
+              , remoteOptions: { headers: { 'X-CSRF-Token': 'token' } }
+              , remoteAdapter: function ( response, isSuccess ) {
+                return { valid: isSuccess && response.valid, message: response.reason };
+              }
+            } );
+
+            $( '#remote-vat' ).val( 'FR123' ).parsley( 'validate' );
+            settings = requests[ 0 ].settings;
+            expect( settings.type ).to.be( 'POST' );
+            expect( settings.contentType ).to.be( 'application/json' );
+            expect( settings.headers ).to.eql( { 'X-CSRF-Token': 'token' } );
+            expect( JSON.parse( settings.data ) ).to.eql( { vat: 'FR123', country: 'fr', extra: 'baz' } );
+
+            settings.success( { valid: false, reason: 'Unknown VAT number.' } );
+            expect( $( '#remote-vat' ).hasClass( 'parsley-error' ) ).to.be( true );
+            expect( getErrorMessage( '#remote-vat', 'remote' ) ).to.be( 'Unknown VAT number.' );
+          } )
+          it ( 'Test named async validators', function () {
+            $( '#asyncnamed-form' ).parsley( {
+              asyncValidators: {
+                  usernameAvailable: { url: 'http://foo.bar/username', message: 'This username is taken.' }
+                , couponValid: {
+                    url: 'http://foo.bar/coupon'
+                  , method: 'POST'
+                  , message: 'This coupon is not valid.'
+                  , adapter: function ( response ) { return 'ok' === response.status; }
+                }
+              }
+            } );
+
+            $( '#asyncnamed-field' ).val( 'foo' ).parsley( 'validate' );
+            expect( requests.length ).to.be( 2 );
+            expect( requests[ 0 ].settings.url ).to.be( 'http://foo.bar/username' );
+            expect( requests[ 1 ].settings.url ).to.be( 'http://foo.bar/coupon' );
+            expect( requests[ 1 ].settings.type ).to.be( 'POST' );
+
+            // field is pending while both did not answer
+            requests[ 0 ].settings.success( 'true' );
+            expect( $( '#asyncnamed-field' ).hasClass( 'parsley-pending' ) ).to.be( true );
+            requests[ 1 ].settings.success( { status: 'ko' } );
+            expect( $( '#asyncnamed-field' ).hasClass( 'parsley-pending' ) ).to.be( false );
+            expect( $( '#asyncnamed-field' ).hasClass( 'parsley-error' ) ).to.be( true );
+            expect( getErrorMessage( '#asyncnamed-field', 'couponvalid' ) ).to.be( 'This coupon is not valid.' );
+            expect( $( '#asyncnamed-field' ).next( 'ul' ).find( 'li' ).length ).to.be( 1 );
+          } )
+
+          afterEach( function () {
+            $.ajax.restore();
+          } );
+        } )
 
       } )
     } )
@@ -675,6 +1114,126 @@ var testSuite = function () {
         triggerSubmitValidation( '#requiredchanged3', 'foo' );
         expect( getErrorMessage( '#requiredchanged3', 'type') ).to.be( 'custom email' );
       } )
+      it ( 'Format error messages with named, positional placeholders and plural selectors', function () {
+        triggerSubmitValidation( '#messagesformat-plural', 'foo' );
+        expect( getErrorMessage( '#messagesformat-plural', 'maxlength') ).to.be( 'This value is too long. It should have 1 character or less.' );
+        triggerSubmitValidation( '#messagesformat-named', 'foo' );
+        expect( getErrorMessage( '#messagesformat-named', 'custom-error-message') ).to.be( 'nickname value foo is not an email' );
+
+        $( '#messagesformat-form' ).parsley( {
+            messages: {
+                rangelength: "At most %2$s characters, at least %1$s"
+              , minlength: "{field}: {min, plural, =1 {at least one character} few {at least # characters, a few} other {at least # characters}} {unknown}"
+            }
+          , pluralRule: function ( count ) {
+              return count < 5 ? 'few' : 'other';
+            }
+        } );
+        triggerSubmitValidation( '#messagesformat-positional', 'a' );
+        expect( getErrorMessage( '#messagesformat-positional', 'rangelength') ).to.be( 'At most 4 characters, at least 2' );
+        triggerSubmitValidation( '#messagesformat-selector', 'a' );
+        expect( getErrorMessage( '#messagesformat-selector', 'minlength') ).to.be( 'messagesformat-selector: at least 3 characters, a few {unknown}' );
+        expect( $( '#messagesformat-exact' ).parsley().getErrorMessage( { name: 'minlength', requirements: 1 } ) ).to.be( 'messagesformat-exact: at least one character {unknown}' );
+      } )
+      it ( 'Switch locale with messages catalogs', function () {
+        Parsley.addCatalog( 'fr', { required: "Ce champ est requis.", minlength: "{min, plural, one {# caractère} other {# caractères}} minimum." }, {
+          pluralRule: function ( count ) {
+            return count < 2 ? 'one' : 'other';
+          }
+        } );
+        Parsley.addCatalog( 'de', { required: "Dieses Feld ist erforderlich." } );
+        $( '#locale-form' ).parsley();
+        $( '#locale-form-de' ).parsley();
+
+        triggerSubmitValidation( '#locale-required', '' );
+        triggerSubmitValidation( '#locale-minlength', 'a' );
+        triggerSubmitValidation( '#locale-custom', '' );
+        triggerSubmitValidation( '#locale-de-required', '' );
+        expect( getErrorMessage( '#locale-required', 'required' ) ).to.be( 'This value is required.' );
+        expect( getErrorMessage( '#locale-de-required', 'required' ) ).to.be( 'Dieses Feld ist erforderlich.' );
+
+        // displayed errors are re-rendered, except own locale fields and custom messages
+        Parsley.setLocale( 'fr' );
+        expect( getErrorMessage( '#locale-required', 'required' ) ).to.be( 'Ce champ est requis.' );
+        expect( getErrorMessage( '#locale-minlength', 'minlength' ) ).to.be( '3 caractères minimum.' );
+        expect( getErrorMessage( '#locale-custom', 'required' ) ).to.be( 'custom required' );
+        expect( getErrorMessage( '#locale-de-required', 'required' ) ).to.be( 'Dieses Feld ist erforderlich.' );
+
+        // untranslated messages fallback on english ones
+        $( '#locale-minlength' ).parsley( 'addConstraint', { minlength: 1, maxlength: 1 } );
+        triggerSubmitValidation( '#locale-minlength', 'ab' );
+        expect( getErrorMessage( '#locale-minlength', 'maxlength' ) ).to.be( 'This value is too long. It should have 1 character or less.' );
+
+        $( '#locale-form' ).parsley( 'setLocale', 'de' );
+        expect( getErrorMessage( '#locale-required', 'required' ) ).to.be( 'Dieses Feld ist erforderlich.' );
+
+        Parsley.setLocale( false );
+        $( '#locale-form' ).parsley( 'setLocale', false );
+        expect( getErrorMessage( '#locale-required', 'required' ) ).to.be( 'This value is required.' );
+      } )
+      it ( 'Fields own locale wins over form and default locales', function () {
+        Parsley.addCatalog( 'fr', { required: "Ce champ est requis." } );
+        Parsley.addCatalog( 'de', { required: "Dieses Feld ist erforderlich." } );
+        $( '#locale-form' ).parsley();
+        triggerSubmitValidation( '#locale-required', '' );
+        triggerSubmitValidation( '#locale-own', '' );
+
+        Parsley.setLocale( 'fr' );
+        expect( getErrorMessage( '#locale-required', 'required' ) ).to.be( 'Ce champ est requis.' );
+        expect( getErrorMessage( '#locale-own', 'required' ) ).to.be( 'Dieses Feld ist erforderlich.' );
+
+        Parsley.setLocale( false );
+        $( '#locale-form' ).parsley( 'setLocale', 'fr' );
+        expect( getErrorMessage( '#locale-required', 'required' ) ).to.be( 'Ce champ est requis.' );
+        expect( getErrorMessage( '#locale-own', 'required' ) ).to.be( 'Dieses Feld ist erforderlich.' );
+
+        // form following default locale again
+        $( '#locale-form' ).parsley( 'setLocale', false );
+        Parsley.setLocale( 'fr' );
+        expect( getErrorMessage( '#locale-required', 'required' ) ).to.be( 'Ce champ est requis.' );
+        Parsley.setLocale( false );
+        expect( getErrorMessage( '#locale-required', 'required' ) ).to.be( 'This value is required.' );
+      } )
+      it ( 'Add catalogs with a plural rule function or settings', function () {
+        var pluralRule = function ( count ) { return 1 === count ? 'one' : 'other'; };
+
+        Parsley.addCatalog( 'eo', { required: "Ĉi tiu kampo estas deviga." }, pluralRule );
+        Parsley.addCatalog( 'eo', { min: "Ĉi tiu valoro estu almenaŭ {min}." }, { numberFormat: { decimal: ',', grouping: ' ' } } );
+        expect( Parsley.catalogs.eo.pluralRule ).to.be( pluralRule );
+        expect( Parsley.catalogs.eo.numberFormat.decimal ).to.be( ',' );
+        expect( Parsley.catalogs.eo.messages.required ).to.be( "Ĉi tiu kampo estas deviga." );
+        expect( Parsley.catalogs.eo.messages.min ).to.be( "Ĉi tiu valoro estu almenaŭ {min}." );
+      } )
+      it ( 'Validators registries are scoped to their form', function () {
+        var even = function ( val ) { return 0 === val % 2; }
+          , odd = function ( val ) { return 1 === val % 2; };
+
+        $( '#registry-form1' ).parsley( { validators: { even: even }, messages: { even: 'This value should be even.' } } );
+        $( '#registry-form2' ).parsley();
+        expect( $( '#registry-field2' ).parsley().Validator.validators.even ).to.be( undefined );
+        triggerSubmitValidation( '#registry-field1', '3' );
+        expect( getErrorMessage( '#registry-field1', 'even' ) ).to.be( 'This value should be even.' );
+
+        // form scoped validators are inherited by its fields and bind their data-api constraints, other forms are not affected
+        expect( $( '#registry-field2' ).val( '3' ).parsley( 'validate' ) ).to.be( null );
+        $( '#registry-form2' ).parsley( 'addValidator', { even: odd } );
+        expect( $( '#registry-field2' ).val( '3' ).parsley( 'validate' ) ).to.be( true );
+        expect( $( '#registry-field2' ).val( '4' ).parsley( 'validate' ) ).to.be( false );
+        expect( $( '#registry-field1' ).val( '5' ).parsley( 'validate' ) ).to.be( false );
+
+        // and fields added later
+        $( '#registry-form2' ).parsley( 'addItem', $( '<input type="text" id="registry-field3" data-even="true" />' ).appendTo( '#registry-form2' ) );
+        expect( $( '#registry-field3' ).val( '2' ).parsley( 'validate' ) ).to.be( false );
+        $( '#registry-form2' ).parsley( 'removeItem', '#registry-field3' );
+        $( '#registry-field3' ).remove();
+
+        // global validators are inherited by every registries
+        Parsley.addValidator( 'multipleOfTen', function ( val ) { return 0 === val % 10; } );
+        expect( $( '#registry-field1' ).parsley().Validator.validators.multipleoften ).to.be.a( 'function' );
+        expect( $( '#registry-field2' ).parsley().Validator.validators.multipleoften ).to.be.a( 'function' );
+        Parsley.removeValidator( 'multipleOfTen' );
+        expect( $( '#registry-field1' ).parsley().Validator.validators.multipleoften ).to.be( undefined );
+      } )
       it ( 'Change error handler', function () {
         $( '#errorsmanagement-form' ).parsley( {
             successClass: 'parsley-great'
@@ -697,6 +1256,90 @@ var testSuite = function () {
         expect( $( '#errorsmanagement-labelerror div' ).length ).to.be( 0 );
         expect( $( '#errorsmanagement-labelinfo' ).hasClass( 'parsley-great' ) ).to.be( true );
       } )
+      it ( 'Custom errors renderer', function () {
+        // inline badge showing all field errors
+        var BadgeRenderer = function ( field ) {
+          this.$badge = $( '<span class="badge"></span>' ).insertAfter( field.$element );
+          this.errors = {};
+        };
+
+        BadgeRenderer.prototype = {
+            showError: function ( name, message ) { this.errors[ name ] = message; this.render(); }
+          , updateError: function ( name, message ) { this.showError( name, message ); }
+          , hasError: function ( name ) { return 'undefined' === typeof name ? 0 !== this.getMessages().length : 'undefined' !== typeof this.errors[ name ]; }
+          , removeError: function ( name ) { delete this.errors[ name ]; this.render(); }
+          , removeErrors: function () { this.errors = {}; this.render(); }
+          , setState: function ( valid ) { this.$badge.attr( 'data-state', '' + valid ); }
+          , setPending: function ( isPending ) { this.$badge.attr( 'data-pending', '' + isPending ); }
+          , reset: function () { this.removeErrors(); this.setState( null ); }
+          , getMessages: function () { return $.map( this.errors, function ( message ) { return message; } ); }
+          , render: function () { this.$badge.text( this.getMessages().join( ' ' ) ); }
+        };
+
+        $( '#renderer-form' ).parsley( { renderer: BadgeRenderer } );
+        triggerSubmitValidation( '#renderer-field', '' );
+        expect( $( '#renderer-form .badge' ).text() ).to.be( 'This value is required.' );
+        expect( $( '#renderer-form .badge' ).attr( 'data-state' ) ).to.be( 'false' );
+        expect( $( '#renderer-form .parsley-error-list' ).length ).to.be( 0 );
+        expect( $( '#renderer-field' ).hasClass( 'parsley-error' ) ).to.be( false );
+        triggerSubmitValidation( '#renderer-field', 'foo' );
+        expect( $( '#renderer-form .badge' ).text() ).to.be( 'This value should be a valid email.' );
+        triggerSubmitValidation( '#renderer-field', 'foo@bar.baz' );
+        expect( $( '#renderer-form .badge' ).text() ).to.be( '' );
+        expect( $( '#renderer-form .badge' ).attr( 'data-state' ) ).to.be( 'true' );
+        $( '#renderer-field' ).parsley( 'reset' );
+        expect( $( '#renderer-form .badge' ).attr( 'data-state' ) ).to.be( 'null' );
+        expect( $.fn.parsley.Renderer ).to.be.a( 'function' );
+      } )
+      it ( 'Tooltip errors display', function () {
+        $( '#tooltip-form' ).parsley();
+        var hash = $( '#tooltip-field' ).parsley( 'getHash' );
+
+        triggerSubmitValidation( '#tooltip-field', '' );
+        expect( $( '#' + hash ).hasClass( 'parsley-error-tooltip' ) ).to.be( true );
+        expect( $( '#' + hash ).parent().is( 'body' ) ).to.be( true );
+        expect( $( '#' + hash ).text() ).to.be( 'This value is required.' );
+        expect( $( '#tooltip-field' ).attr( 'aria-describedby' ) ).to.be( hash );
+        expect( $( '#tooltip-field' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( $( '#tooltip-form .parsley-error-list' ).length ).to.be( 0 );
+
+        // only first error is shown
+        triggerSubmitValidation( '#tooltip-field', 'foo' );
+        expect( $( '#' + hash ).text() ).to.be( 'This value should be a valid email.' );
+        $( '#tooltip-field' ).parsley( 'setServerErrors', 'Server error.' );
+        expect( $( '#' + hash ).text() ).to.be( 'This value should be a valid email.' );
+        $( '#tooltip-field' ).parsley( 'removeServerErrors' );
+
+        // dismissed on valid input
+        triggerSubmitValidation( '#tooltip-field', 'foo@bar.baz' );
+        expect( $( '#' + hash ).length ).to.be( 0 );
+        expect( $( '#tooltip-field' ).get( 0 ).hasAttribute( 'aria-describedby' ) ).to.be( false );
+        expect( $( '#tooltip-field' ).hasClass( 'parsley-success' ) ).to.be( true );
+      } )
+      it ( 'Tooltips follow their field on resize and scroll, each one independently', function () {
+        $( '#tooltip-form' ).parsley();
+        var position = sinon.spy( $( '#tooltip-field2' ).parsley().renderer, 'position' )
+          , scroll = document.createEvent( 'HTMLEvents' );
+
+        scroll.initEvent( 'scroll', false, false );
+        triggerSubmitValidation( '#tooltip-field', '' );
+        triggerSubmitValidation( '#tooltip-field2', '' );
+
+        // hiding first field tooltip must not unbind second one handlers
+        triggerSubmitValidation( '#tooltip-field', 'foo@bar.baz' );
+        position.reset();
+        $( window ).trigger( 'resize' );
+        expect( position.callCount ).to.be( 1 );
+        document.body.dispatchEvent( scroll );
+        expect( position.callCount ).to.be( 2 );
+
+        triggerSubmitValidation( '#tooltip-field2', 'foo' );
+        position.reset();
+        $( window ).trigger( 'resize' );
+        document.body.dispatchEvent( scroll );
+        expect( position.callCount ).to.be( 0 );
+        position.restore();
+      } )
     } )
 
     /***************************************
@@ -930,6 +1573,268 @@ var testSuite = function () {
         expect( $( '#dataerrorcontainer-form' ).parsley( 'validate' ) ).to.be( false );
         expect( $( '#mycustomerrorcontainer ul.parsley-error-list' ).length ).to.be( 1 );
       } )
+      it ( 'test form errors summary', function () {
+        $( '#errorsummary-name' ).val( 'foo' );
+        expect( $( '#errorsummary-form' ).parsley( 'validate' ) ).to.be( false );
+        expect( $( '#errorsummary-container ul.parsley-error-summary li' ).length ).to.be( 2 );
+        expect( $( '#errorsummary-container li' ).eq( 0 ).find( 'a' ).text() ).to.be( 'Email' );
+        expect( $( '#errorsummary-container li' ).eq( 0 ).find( 'a' ).attr( 'href' ) ).to.be( '#errorsummary-email' );
+        expect( $( '#errorsummary-container li' ).eq( 0 ).find( 'span' ).text() ).to.be( 'This value is required.' );
+        expect( $( '#errorsummary-container li' ).eq( 1 ).find( 'a' ).text() ).to.be( 'fullname' );
+        expect( $( '#errorsummary-container li' ).eq( 1 ).find( 'span' ).text() ).to.be( 'This value is too short. It should have 6 characters or more.' );
+        expect( $( '#errorsummary-valid' ).parsley( 'getLabel' ) ).to.be( 'Valid field' );
+
+        // summary is kept in sync on each field validation
+        triggerSubmitValidation( '#errorsummary-email', 'foo' );
+        expect( $( '#errorsummary-container li' ).eq( 0 ).find( 'span' ).text() ).to.be( 'This value should be a valid email.' );
+        triggerSubmitValidation( '#errorsummary-email', 'foo@bar.baz' );
+        expect( $( '#errorsummary-container li' ).length ).to.be( 1 );
+        expect( $( '#errorsummary-container li a' ).text() ).to.be( 'fullname' );
+
+        $( '#errorsummary-name' ).on( 'focus', function () { $( this ).addClass( 'summary-focused' ); } );
+        $( '#errorsummary-container li a' ).trigger( 'click' );
+        expect( $( '#errorsummary-name' ).hasClass( 'summary-focused' ) ).to.be( true );
+
+        triggerSubmitValidation( '#errorsummary-name', 'foobarbaz' );
+        expect( $( '#errorsummary-container ul' ).length ).to.be( 0 );
+
+        $( '#errorsummary-name' ).val( '' );
+        expect( $( '#errorsummary-form' ).parsley( 'validate' ) ).to.be( true );
+        $( '#errorsummary-email' ).val( '' );
+        expect( $( '#errorsummary-form' ).parsley( 'validate' ) ).to.be( false );
+        expect( $( '#errorsummary-container li' ).length ).to.be( 1 );
+        $( '#errorsummary-form' ).parsley( 'reset' );
+        expect( $( '#errorsummary-container ul' ).length ).to.be( 0 );
+      } )
+      it ( 'test field parent accessors', function () {
+        expect( $( '#errorsummary-email' ).parsley( 'getParentForm' ) ).to.be( $( '#errorsummary-form' ).parsley() );
+        expect( $( '#errorsummary-email' ).parsley( 'getParent' ).get( 0 ) ).to.be( $( '#errorsummary-form' ).parsley() );
+      } )
+      it ( 'test server error, then valid client edit', function () {
+        $( '#errorsummary-form' ).parsley( 'setServerErrors', { fullname: 'Taken.' } );
+        expect( $( '#errorsummary-container li span' ).text() ).to.be( 'Taken.' );
+
+        // value is edited without any keyup / change event, validation clears server errors
+        triggerSubmitValidation( '#errorsummary-name', 'foobarbazqux' );
+        expect( $( '#errorsummary-name' ).hasClass( 'parsley-success' ) ).to.be( true );
+        expect( $( '#errorsummary-name' ).next( 'ul' ).length ).to.be( 0 );
+        expect( $( '#errorsummary-name' ).parsley( 'getErrorsMessages' ) ).to.eql( [] );
+        expect( $( '#errorsummary-container ul' ).length ).to.be( 0 );
+        $( '#errorsummary-form' ).parsley( 'reset' );
+      } )
+      it ( 'test fields dependencies', function () {
+        var dependents = $( '#dependency-form' ).parsley( 'getDependents', '#dependency-password' );
+        expect( dependents.length ).to.be( 1 );
+        expect( dependents[ 0 ].$element.attr( 'id' ) ).to.be( 'dependency-confirm' );
+
+        // not validated dependent fields are left untouched
+        $( '#dependency-password' ).val( 'foo' ).trigger( 'change' );
+        expect( $( '#dependency-confirm' ).hasClass( 'parsley-error' ) ).to.be( false );
+
+        $( '#dependency-confirm' ).val( 'bar' );
+        expect( $( '#dependency-form' ).parsley( 'validate' ) ).to.be( false );
+        expect( $( '#dependency-confirm' ).hasClass( 'parsley-error' ) ).to.be( true );
+
+        // dependent field is revalidated and its errors cleared when referenced field changes
+        $( '#dependency-password' ).val( 'bar' ).trigger( 'keyup' );
+        expect( $( '#dependency-confirm' ).hasClass( 'parsley-success' ) ).to.be( true );
+        $( '#dependency-password' ).val( 'baz' ).trigger( 'change' );
+        expect( $( '#dependency-confirm' ).hasClass( 'parsley-error' ) ).to.be( true );
+
+        // even if its own value did not change
+        $( '#dependency-password' ).val( 'bar' );
+        expect( $( '#dependency-form' ).parsley( 'validate' ) ).to.be( true );
+      } )
+      it ( 'test validation groups', function () {
+        var failedGroups = null;
+
+        $( '#group-form' ).parsley( { listeners: {
+          onFormSubmit: function ( isFormValid, event, ParsleyForm, groups ) {
+            failedGroups = groups;
+          }
+        } } );
+
+        expect( $( '#group-form' ).parsley( 'isValid', 'step1' ) ).to.be( false );
+        expect( $( '#group-step1-required' ).hasClass( 'parsley-error' ) ).to.be( false );
+
+        expect( $( '#group-form' ).parsley( 'validate', 'step1' ) ).to.be( false );
+        expect( failedGroups ).to.eql( [ 'step1' ] );
+        expect( $( '#group-step1-required' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( $( '#group-step2-required' ).hasClass( 'parsley-error' ) ).to.be( false );
+        expect( $( '#group-none-required' ).hasClass( 'parsley-error' ) ).to.be( false );
+
+        $( '#group-step1-required' ).val( 'foo' );
+        expect( $( '#group-form' ).parsley( 'validate', 'step1' ) ).to.be( true );
+        expect( failedGroups ).to.eql( [] );
+
+        $( '#group-step1-email' ).val( 'foo' );
+        expect( $( '#group-form' ).parsley( 'validate' ) ).to.be( false );
+        expect( failedGroups ).to.eql( [ 'step1', 'step2' ] );
+        expect( $( '#group-none-required' ).hasClass( 'parsley-error' ) ).to.be( true );
+
+        $( '#group-form' ).parsley( 'reset', 'step1' );
+        expect( $( '#group-step1-email' ).hasClass( 'parsley-error' ) ).to.be( false );
+        expect( $( '#group-step2-required' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( $( '#group-none-required' ).hasClass( 'parsley-error' ) ).to.be( true );
+
+        $( '#group-form' ).parsley( 'reset' );
+        expect( $( '#group-step2-required' ).hasClass( 'parsley-error' ) ).to.be( false );
+      } )
+      it ( 'test conditional constraints', function () {
+        // conditions not met
+        $( '#condition-vat' ).val( 'foo' );
+        expect( $( '#condition-form' ).parsley( 'validate' ) ).to.be( true );
+        expect( $( '#condition-vat' ).hasClass( 'parsley-error' ) ).to.be( false );
+
+        $( '#condition-newsletter' ).prop( 'checked', true ).trigger( 'change' );
+        expect( $( '#condition-form' ).parsley( 'validate' ) ).to.be( false );
+        expect( $( '#condition-email' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( getErrorMessage( '#condition-email', 'required' ) ).to.be( 'This value is required.' );
+
+        // condition is re-evaluated when referenced field changes
+        $( '#condition-newsletter' ).prop( 'checked', false ).trigger( 'change' );
+        expect( $( '#condition-email' ).hasClass( 'parsley-error' ) ).to.be( false );
+
+        $( '#condition-country' ).val( 'other' ).trigger( 'change' );
+        expect( $( '#condition-form' ).parsley( 'validate' ) ).to.be( false );
+        expect( $( '#condition-other' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( $( '#condition-vat' ).hasClass( 'parsley-error' ) ).to.be( true );
+
+        $( '#condition-country' ).val( 'fr' ).trigger( 'change' );
+        expect( $( '#condition-other' ).hasClass( 'parsley-error' ) ).to.be( false );
+        expect( $( '#condition-vat' ).hasClass( 'parsley-error' ) ).to.be( false );
+        expect( $( '#condition-form' ).parsley( 'validate' ) ).to.be( true );
+      } )
+      if ( 'undefined' !== typeof window.MutationObserver ) {
+        it ( 'test observe option', function ( done ) {
+          $( '#observe-form' ).parsley( { observe: true } );
+          $( '#observe-rows' ).append( '<div><input type="text" id="observe-field" data-required="true" /></div>' );
+
+          // MutationObserver callbacks are async
+          setTimeout( function () {
+            try {
+              expect( $( '#observe-form' ).parsley( 'hasItem', '#observe-field' ) ).to.be( true );
+              expect( $( '#observe-form' ).parsley( 'validate' ) ).to.be( false );
+              expect( $( '#observe-field' ).hasClass( 'parsley-error' ) ).to.be( true );
+
+              $( '#observe-rows' ).empty();
+              setTimeout( function () {
+                try {
+                  expect( $( '#observe-form' ).parsley( 'validate' ) ).to.be( true );
+                  $( '#observe-form' ).parsley( 'destroy' );
+                  done();
+                } catch ( e ) {
+                  done( e );
+                }
+              }, 0 );
+            } catch ( e ) {
+              done( e );
+            }
+          }, 0 );
+        } )
+      }
+      it ( 'test observed mutations only handle their own nodes, skipping Parsley ones', function () {
+        var form = $( '#observe-form' ).parsley()
+          , $input = $( '<input type="text" id="observe-moved" data-required="true" />' ).appendTo( '#observe-rows' );
+
+        sinon.spy( form, 'hasItem' );
+        form.manageMutations( [ { addedNodes: $( '<ul class="parsley-error-list"><li><input type="text" /></li></ul>' ).get(), removedNodes: [] } ] );
+        expect( form.hasItem.called ).to.be( false );
+        form.hasItem.restore();
+
+        form.manageMutations( [ { addedNodes: $input.get(), removedNodes: [] } ] );
+        expect( form.hasItem( '#observe-moved' ) ).to.be( true );
+
+        $input.remove();
+        form.manageMutations( [ { addedNodes: [], removedNodes: $input.get() } ] );
+        expect( form.hasItem( $input ) ).to.be( false );
+        $( '#observe-form' ).parsley( 'destroy' );
+      } )
+      it ( 'test detailed validation result', function () {
+        var result;
+
+        $( '#detailed-email' ).val( 'foo' );
+        $( '#detailed-age' ).val( '12' );
+
+        result = $( '#detailed-form' ).parsley( 'validate', { detailed: true } );
+        expect( result.valid ).to.be( false );
+        expect( result.errors[ 'detailed-valid' ] ).to.be( undefined );
+        expect( result.errors.email.length ).to.be( 2 );
+        expect( result.errors.email[ 0 ] ).to.eql( {
+            field: 'email'
+          , constraint: 'type'
+          , requirements: 'email'
+          , message: 'This value should be a valid email.'
+          , value: 'foo'
+        } );
+        expect( result.errors.email[ 1 ].constraint ).to.be( 'minlength' );
+        expect( result.errors[ 'detailed-age' ][ 0 ].requirements ).to.eql( [ 18, 99 ] );
+        expect( result.errors[ 'detailed-age' ][ 0 ].message ).to.be( 'This value should be between 18 and 99.' );
+
+        expect( $( '#detailed-age' ).parsley( 'getErrors' ).length ).to.be( 1 );
+        $( '#detailed-age' ).val( '20' );
+        expect( $( '#detailed-age' ).parsley( 'validate', { detailed: true } ) ).to.eql( { valid: true, errors: [] } );
+        expect( $( '#detailed-form' ).parsley( 'getErrors' )[ 'detailed-age' ] ).to.be( undefined );
+      } )
+      it ( 'test server errors', function () {
+        $( '#server-email' ).val( 'foo@bar.baz' );
+        $( '#server-username' ).val( 'foo' );
+        expect( $( '#server-form' ).parsley( 'validate' ) ).to.be( true );
+
+        $( '#server-form' ).parsley( 'setServerErrors', {
+            email: 'This email is already used.'
+          , username: [ 'This username is taken.', 'This username is reserved.' ]
+          , unknown: [ 'Not a form field.' ]
+        } );
+        expect( $( '#server-email' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( $( '#server-username' ).hasClass( 'parsley-error' ) ).to.be( true );
+        expect( $( '#server-email' ).next( 'ul.parsley-error-list' ).find( 'li.parsley-server-error' ).text() ).to.be( 'This email is already used.' );
+        expect( $( '#server-username' ).next( 'ul' ).find( 'li.parsley-server-error' ).length ).to.be( 2 );
+
+        // keyup without edit does not clear them
+        $( '#server-username' ).trigger( 'keyup' );
+        expect( $( '#server-username' ).next( 'ul' ).find( 'li' ).length ).to.be( 2 );
+
+        $( '#server-username' ).val( 'bar' ).trigger( 'keyup' );
+        expect( $( '#server-username' ).next( 'ul' ).length ).to.be( 0 );
+        expect( $( '#server-username' ).hasClass( 'parsley-error' ) ).to.be( false );
+        expect( $( '#server-email' ).hasClass( 'parsley-error' ) ).to.be( true );
+
+        $( '#server-form' ).parsley( 'reset' );
+        expect( $( '#server-email' ).next( 'ul' ).length ).to.be( 0 );
+        expect( $( '#server-email' ).hasClass( 'parsley-error' ) ).to.be( false );
+      } )
+      it ( 'test parsley(\'submit\')', function () {
+        var submitted = 0
+          , formValid = null
+          , blockSubmit = false;
+
+        $( '#submit-form' ).get( 0 ).submit = function () { submitted++; };
+        $( '#submit-form' ).parsley( { listeners: {
+          onFormSubmit: function ( isFormValid ) {
+            formValid = isFormValid;
+
+            if ( blockSubmit ) {
+              return false;
+            }
+          }
+        } } );
+
+        $( '#submit-form' ).parsley( 'submit' );
+        expect( formValid ).to.be( false );
+        expect( submitted ).to.be( 0 );
+        expect( $( '#submit-field' ).hasClass( 'parsley-error' ) ).to.be( true );
+
+        $( '#submit-field' ).val( 'foo' );
+        $( '#submit-form' ).parsley( 'submit' );
+        expect( formValid ).to.be( true );
+        expect( submitted ).to.be( 1 );
+
+        // onFormSubmit could still prevent form submission
+        blockSubmit = true;
+        $( '#submit-form' ).parsley( 'submit' );
+        expect( submitted ).to.be( 1 );
+      } )
       it ( 'test isValid', function () {
         expect( $( '#isValid-form' ).parsley( 'isValid' ) ).to.be( false );
         expect( $( '#isValid-field' ).hasClass( 'parsley-success' ) ).to.be( false );
@@ -944,6 +1849,159 @@ var testSuite = function () {
       } )
     } )
 
+    /***************************************
+           test async validators
+    ***************************************/
+    // Zepto does not provide Deferred objects, async validators need jQuery
+    if ( 'function' === typeof $.Deferred ) {
+      describe ( 'Test async validators', function () {
+        it ( 'test field is pending until async validator answers', function () {
+          var resolved = false;
+
+          $( '#async-field' ).val( 'foo' );
+          expect( $( '#async-field' ).parsley( 'validate' ) ).to.be( null );
+          expect( $( '#async-field' ).parsley( 'hasPendingConstraints' ) ).to.be( true );
+          expect( $( '#async-field' ).hasClass( 'parsley-success' ) ).to.be( false );
+          $( '#async-field' ).parsley( 'whenValid' ).done( function () { resolved = true; } );
+
+          asyncDeferred.resolve();
+          expect( $( '#async-field' ).parsley( 'hasPendingConstraints' ) ).to.be( false );
+          expect( $( '#async-field' ).hasClass( 'parsley-success' ) ).to.be( true );
+          expect( resolved ).to.be( true );
+        } )
+        it ( 'test async validator rejected with a message', function () {
+          var rejected = false;
+
+          $( '#async-field' ).val( 'bar' );
+          $( '#async-field' ).parsley( 'whenValid' ).fail( function () { rejected = true; } );
+          asyncDeferred.reject( 'async error' );
+          expect( rejected ).to.be( true );
+          expect( $( '#async-field' ).hasClass( 'parsley-error' ) ).to.be( true );
+          expect( getErrorMessage( '#async-field', 'asyncvalidator' ) ).to.be( 'async error' );
+        } )
+        it ( 'test outdated async answers are ignored', function () {
+          var outdated;
+
+          $( '#async-field' ).val( 'baz' ).parsley( 'validate' );
+          outdated = asyncDeferred;
+          $( '#async-field' ).val( 'foobar' ).parsley( 'validate' );
+          outdated.reject( 'outdated' );
+          expect( $( '#async-field' ).parsley( 'hasPendingConstraints' ) ).to.be( true );
+          asyncDeferred.resolve();
+          expect( $( '#async-field' ).hasClass( 'parsley-success' ) ).to.be( true );
+        } )
+        it ( 'test field whenValid waits for superseding async answers', function () {
+          var state = null
+            , outdated;
+
+          $( '#async-field' ).val( 'baz' ).parsley( 'whenValid' )
+            .done( function () { state = 'valid'; } )
+            .fail( function () { state = 'invalid'; } );
+          outdated = asyncDeferred;
+          $( '#async-field' ).val( 'foobar' ).parsley( 'validate' );
+          outdated.reject( 'outdated' );
+          expect( state ).to.be( null );
+          asyncDeferred.reject( 'async error' );
+          expect( state ).to.be( 'invalid' );
+        } )
+        it ( 'test field whenValid is rejected even if its errors are not shown', function () {
+          var rejected = false;
+
+          $( '#async-silent' ).val( 'foo' ).parsley( 'whenValid' ).fail( function () { rejected = true; } );
+          expect( $( '#async-silent' ).parsley( 'hasPendingConstraints' ) ).to.be( true );
+          asyncDeferred.reject( 'async error' );
+          expect( rejected ).to.be( true );
+          expect( $( '#async-silent' ).hasClass( 'parsley-error' ) ).to.be( false );
+          $( '#async-silent' ).val( '' );
+        } )
+        it ( 'test isValid does not display async validators results', function () {
+          $( '#async-field' ).parsley( 'reset' );
+          $( '#async-field' ).val( 'quiet' );
+          expect( $( '#async-field' ).parsley( 'isValid' ) ).to.be( null );
+          asyncDeferred.reject( 'async error' );
+          expect( $( '#async-field' ).hasClass( 'parsley-error' ) ).to.be( false );
+          expect( $( '#async-field' ).next( 'ul' ).length ).to.be( 0 );
+        } )
+        it ( 'test form submission is hold until async validators answer', function () {
+          var submitted = false
+            , formValid = null;
+
+          $( '#async-form' ).get( 0 ).submit = function () { submitted = true; };
+          $( '#async-form' ).parsley( 'addListener', {
+            onFormSubmit: function ( isFormValid ) {
+              formValid = isFormValid;
+            }
+          } );
+
+          $( '#async-field' ).val( 'foo' );
+          $( '#async-required' ).val( 'foo' );
+          $( '#async-form' ).trigger( 'submit' );
+          expect( formValid ).to.be( null );
+          expect( submitted ).to.be( false );
+
+          asyncDeferred.resolve();
+          expect( formValid ).to.be( true );
+          expect( submitted ).to.be( true );
+        } )
+        it ( 'test clicked submit button name and value are sent once async validators answer', function () {
+          var sent = null;
+
+          $( '#async-form' ).get( 0 ).submit = function () {
+            sent = $( '#async-form input[name=action]' ).val();
+          };
+          $( '#async-field' ).val( 'qux' );
+          $( '#async-required' ).val( 'foo' );
+
+          // click then submit, as browsers do. jsdom does not submit forms on click
+          $( '#async-draft' ).one( 'click', function ( event ) { event.preventDefault(); } ).trigger( 'click' );
+          $( '#async-form' ).trigger( 'submit' );
+          expect( sent ).to.be( null );
+
+          asyncDeferred.resolve();
+          expect( sent ).to.be( 'draft' );
+          expect( $( '#async-form input.parsley-submitter' ).length ).to.be( 1 );
+        } )
+        it ( 'test form is not submitted if an async validator fails', function () {
+          var submitted = false;
+
+          $( '#async-form' ).get( 0 ).submit = function () { submitted = true; };
+          $( '#async-field' ).val( 'bar' );
+          $( '#async-form' ).trigger( 'submit' );
+          asyncDeferred.reject();
+          expect( submitted ).to.be( false );
+          expect( $( '#async-field' ).hasClass( 'parsley-error' ) ).to.be( true );
+        } )
+        it ( 'test parsley(\'submit\') waits for async validators', function () {
+          var submitted = false;
+
+          $( '#async-form' ).get( 0 ).submit = function () { submitted = true; };
+          $( '#async-field' ).val( 'qux' );
+          $( '#async-form' ).parsley( 'submit' );
+          expect( submitted ).to.be( false );
+          asyncDeferred.resolve();
+          expect( submitted ).to.be( true );
+        } )
+        it ( 'test form whenValid', function () {
+          var state = null;
+
+          $( '#async-field' ).val( 'foo' );
+          $( '#async-form' ).parsley( 'whenValid' )
+            .done( function () { state = 'valid'; } )
+            .fail( function () { state = 'invalid'; } );
+          expect( state ).to.be( null );
+          asyncDeferred.resolve();
+          expect( state ).to.be( 'valid' );
+        } )
+      } )
+    } else {
+      describe ( 'Test async validators', function () {
+        it ( 'test whenValid needs $.Deferred', function () {
+          expect( function () { $( '#async-field' ).parsley( 'whenValid' ); } ).to.throwException( /Deferred/ );
+          expect( function () { $( '#async-form' ).parsley( 'whenValid' ); } ).to.throwException( /Deferred/ );
+        } )
+      } )
+    }
+
     /***************************************
               test custom functions
     ***************************************/
@@ -1111,6 +2169,12 @@ var testSuite = function () {
          $( '#greaterThan-model' ).val( '5' );
          expect( $( '#greaterThan' ).parsley( 'validate' ) ).to.be( false );
        } )
+       it ( 'greaterThan with localized numbers', function () {
+         triggerSubmitValidation( '#greaterThan-localized', '1.000,4' );
+         expect( $( '#greaterThan-localized' ).hasClass( 'parsley-error' ) ).to.be( true );
+         triggerSubmitValidation( '#greaterThan-localized', '1.000,6' );
+         expect( $( '#greaterThan-localized' ).hasClass( 'parsley-success' ) ).to.be( true );
+       } )
        it ( 'lessThan', function () {
          triggerSubmitValidation( '#lessThan', '5' );
          expect( $( '#lessThan' ).hasClass( 'parsley-error' ) ).to.be( true );